@@ -1,17 +1,73 @@
+// Display names for DataLoader PREDICTION_TASKS
+const TASK_LABELS = {
+    classification: 'direction (up/down)',
+    streams: 'stream count',
+    log_return: 'log-return'
+};
+
+// Disabled while _trainModel() runs; Stop/Pause are handled by setTrainingControls()
+const TRAIN_RUN_BUTTONS = ['trainModel', 'advancedTrain', 'fineTuneModel', 'evaluateModel', 'runForecast', 'saveModel'];
+
+// Display names for DataLoader NORMALIZATION_METHODS
+const NORMALIZATION_LABELS = {
+    minmax: 'min-max',
+    zscore: 'z-score',
+    robust: 'robust (median/IQR)',
+    log1p_minmax: 'log1p + min-max'
+};
+
+// Escapes text for innerHTML. Everything read from a file (CSV headers and
+// values, track names and IDs, dates) or typed in, such as registry run
+// names, goes through this before display
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 class MusicPopularityApp {
     constructor() {
         this.dataLoader = new DataLoader();
+        // Sized from the data once a CSV is loaded (see resetModel)
         this.model = new GRUModel();
+        // Active hyperparameters: defaults until a search result is promoted or a model is loaded
+        this.hyperparameters = { ...DEFAULT_HYPERPARAMETERS };
+        this.searchResults = [];
+        this.registry = new ModelRegistry();
+        // Registry run ids ticked for comparison
+        this.registrySelection = new Set();
+        // Confirmed CSV layout, reused when the same file is re-processed
+        this.columnMapping = null;
+        this.csvDelimiter = null;
+        this.pendingCSVText = null;
+        this.pendingDelimiter = null;
         this.isTraining = false;
+        this.lastTrainingProgress = null;
+        // Test predictions from the last evaluation, see renderThresholdedEvaluation()
+        this.evaluationState = null;
         this.charts = {};
         this.trainingData = null;
         
         this.initializeEventListeners();
+        this.renderFeatureSelection();
+        this.refreshCheckpointStatus();
+        this.renderRegistry();
     }
 
     initializeEventListeners() {
         document.getElementById('csvFile').addEventListener('change', (e) => {
-            this.handleFileUpload(e.target.files[0]);
+            this.prepareColumnMapping(e.target.files[0]);
+        });
+
+        document.getElementById('csvDelimiter').addEventListener('change', () => {
+            this.renderColumnMapping();
+        });
+
+        document.getElementById('confirmColumnMapping').addEventListener('click', () => {
+            this.confirmColumnMapping();
         });
 
         document.getElementById('trainModel').addEventListener('click', () => {
@@ -30,6 +86,74 @@ class MusicPopularityApp {
             this.validateData();
         });
 
+        document.getElementById('loadModel').addEventListener('click', () => {
+            this.loadModel();
+        });
+
+        document.getElementById('fineTuneModel').addEventListener('click', () => {
+            this.fineTuneModel();
+        });
+
+        document.getElementById('applyDataSettings').addEventListener('click', () => {
+            this.applyDataSettings();
+        });
+
+        document.getElementById('runBacktest').addEventListener('click', () => {
+            this.runBacktest();
+        });
+
+        document.getElementById('stopTraining').addEventListener('click', () => {
+            this.stopTraining();
+        });
+
+        document.getElementById('pauseTraining').addEventListener('click', () => {
+            this.pauseTraining();
+        });
+
+        document.getElementById('resumeTraining').addEventListener('click', () => {
+            this.resumeTraining();
+        });
+
+        document.getElementById('continueCheckpoint').addEventListener('click', () => {
+            this.continueCheckpoint();
+        });
+
+        document.getElementById('discardCheckpoint').addEventListener('click', () => {
+            this.discardCheckpoint();
+        });
+
+        document.getElementById('registryList').addEventListener('click', (e) => {
+            this.handleRegistryAction(e.target);
+        });
+
+        document.getElementById('compareRuns').addEventListener('click', () => {
+            this.compareRegisteredRuns();
+        });
+
+        document.getElementById('runSearch').addEventListener('click', () => {
+            this.runHyperparameterSearch();
+        });
+
+        document.getElementById('promoteSearchConfig').addEventListener('click', () => {
+            this.promoteBestSearchConfig();
+        });
+
+        document.getElementById('runForecast').addEventListener('click', () => {
+            this.runForecast();
+        });
+
+        document.getElementById('runCoMovement').addEventListener('click', () => {
+            this.runCoMovementAnalysis();
+        });
+
+        document.getElementById('calibrateModel').addEventListener('click', () => {
+            this.calibrateModel();
+        });
+
+        document.getElementById('decisionThreshold').addEventListener('input', () => {
+            this.updateDecisionThreshold();
+        });
+
         // NEW: Advanced training options
         document.getElementById('advancedTrain').addEventListener('click', () => {
             this.advancedTrainModel();
@@ -42,10 +166,27 @@ class MusicPopularityApp {
 
     async handleFileUpload(file) {
         if (!file) return;
+        // Re-processing disposes the tensors a running fit() is reading
+        if (this.isTraining) {
+            this.showNotification('Cannot load data while training is in progress', 'warning');
+            return;
+        }
+        this.currentFile = file;
 
         try {
             this.showLoading('Loading and processing CSV data with advanced feature engineering...');
-            await this.dataLoader.loadCSV(file);
+            if (!this.dataLoader.restoredState) {
+                this.dataLoader.setTrackSelection(this.readTrackSelection());
+                this.dataLoader.setWindowConfig(this.readWindowConfig());
+                this.dataLoader.setImputation(this.readImputation());
+                this.dataLoader.setTask(this.readTask());
+                this.dataLoader.setFeatureSelection(this.readFeatureSelection());
+                this.dataLoader.setNormalization(this.readNormalization());
+            }
+            // Read even with a restored manifest, so events for new dates can be added
+            this.dataLoader.setCalendarEvents(this.readCalendarEvents());
+            await this.dataLoader.loadCSV(file, this.columnMapping, this.csvDelimiter);
+            this.clearEvaluation();
             this.dataLoader.createSlidingWindows();
             
             const isValid = this.dataLoader.validateData();
@@ -54,24 +195,325 @@ class MusicPopularityApp {
             }
             
             this.trainingData = this.dataLoader.getTrainingData();
+            this.model.setTrackOrder(this.dataLoader.selectedTracks);
             this.hideLoading();
             
             this.updateDataSummary();
-            this.showNotification('Advanced data processing completed! Features engineered: 9 per track.', 'success');
+            this.showNotification(`Advanced data processing completed! Features engineered: ${this.dataLoader.featureNames.length} per track.`, 'success');
+
+            if (this.dataLoader.unknownTrackIds.length > 0) {
+                this.showNotification(`Track IDs not found in CSV: ${this.dataLoader.unknownTrackIds.join(', ')}`, 'warning');
+            }
+
+            if (!this.model.model) {
+                this.resetModel();
+            } else {
+                const mismatch = this.checkModelCompatibility();
+                if (mismatch) {
+                    this.showNotification(`Current model does not fit this data: ${mismatch}`, 'warning');
+                }
+            }
         } catch (error) {
             this.hideLoading();
+            // A failed split disposes the previous tensors, so drop references to them
+            if (!this.dataLoader.X_train) {
+                this.trainingData = null;
+            }
             this.showNotification('Error loading file: ' + error.message, 'error');
             console.error('File loading error:', error);
         }
     }
 
+    // First step of loading a CSV: show its headers so the user can confirm
+    // which column holds each field before anything is processed
+    async prepareColumnMapping(file) {
+        if (!file) return;
+
+        try {
+            this.pendingCSVText = await this.dataLoader.readFile(file);
+            this.currentFile = file;
+            this.columnMapping = null;
+            this.csvDelimiter = null;
+            document.getElementById('csvDelimiter').value = 'auto';
+            this.renderColumnMapping();
+        } catch (error) {
+            this.showNotification('Error reading file: ' + error.message, 'error');
+            console.error('File reading error:', error);
+        }
+    }
+
+    renderColumnMapping() {
+        if (!this.pendingCSVText) return;
+
+        const container = document.getElementById('columnMappingFields');
+        const delimiterChoice = document.getElementById('csvDelimiter').value;
+        const delimiter = delimiterChoice === 'auto' ? null : delimiterChoice;
+
+        try {
+            const table = this.dataLoader.parseTable(this.pendingCSVText, delimiter);
+            const suggestion = this.dataLoader.suggestColumnMapping(table.headers);
+            const firstRow = table.rows[0] || [];
+
+            const fieldsHTML = Object.keys(suggestion).map(field => {
+                const required = REQUIRED_CSV_COLUMNS.includes(field);
+                const options = table.headers.map((header, idx) => {
+                    const example = firstRow[idx] !== undefined ? ` (e.g. ${firstRow[idx].slice(0, 20)})` : '';
+                    return `<option value="${idx}" ${suggestion[field] === idx ? 'selected' : ''}>${escapeHTML(header + example)}</option>`;
+                }).join('');
+
+                return `
+                    <div class="control-group">
+                        <label for="columnMap_${field}">${field}${required ? ' *' : ''}</label>
+                        <select id="columnMap_${field}">
+                            <option value="" ${suggestion[field] === null ? 'selected' : ''}>${required ? '— choose a column —' : '— not in file —'}</option>
+                            ${options}
+                        </select>
+                    </div>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <p><small>Detected ${table.headers.length} columns and ${table.rows.length} rows
+                (delimiter: ${table.delimiter === '\t' ? 'tab' : `"${table.delimiter}"`})</small></p>
+                ${fieldsHTML}
+            `;
+            this.pendingDelimiter = table.delimiter;
+        } catch (error) {
+            container.innerHTML = `<p>Could not read the CSV: ${escapeHTML(error.message)}</p>`;
+            this.pendingDelimiter = null;
+        }
+    }
+
+    async confirmColumnMapping() {
+        if (this.isTraining) {
+            this.showNotification('Cannot load data while training is in progress', 'warning');
+            return;
+        }
+        if (!this.pendingCSVText || !this.pendingDelimiter) {
+            this.showNotification('Choose a readable CSV file first', 'warning');
+            return;
+        }
+
+        const mapping = {};
+        Object.keys(CSV_COLUMN_ALIASES).forEach(field => {
+            const value = document.getElementById(`columnMap_${field}`).value;
+            mapping[field] = value === '' ? null : parseInt(value, 10);
+        });
+
+        const missing = REQUIRED_CSV_COLUMNS.filter(field => mapping[field] === null);
+        if (missing.length > 0) {
+            this.showNotification(`Map a column for: ${missing.join(', ')}`, 'warning');
+            return;
+        }
+
+        this.columnMapping = mapping;
+        this.csvDelimiter = this.pendingDelimiter;
+        await this.handleFileUpload(this.currentFile);
+    }
+
+    // Track selection inputs: an explicit ID list wins over the top-N count
+    readTrackSelection() {
+        const countInput = document.getElementById('trackCount');
+        const idsInput = document.getElementById('trackIds');
+
+        const count = countInput && countInput.value ? parseInt(countInput.value, 10) : 10;
+        const trackIds = idsInput && idsInput.value ? idsInput.value.split(/[,\n]/) : [];
+
+        return { count, trackIds };
+    }
+
+    readWindowConfig() {
+        const windowInput = document.getElementById('windowSize');
+        const horizonInput = document.getElementById('horizon');
+
+        return {
+            windowSize: windowInput && windowInput.value ? parseInt(windowInput.value, 10) : 7,
+            horizon: horizonInput && horizonInput.value ? parseInt(horizonInput.value, 10) : 3
+        };
+    }
+
+    readArchitecture() {
+        const input = document.getElementById('modelArchitecture');
+        return input && input.value ? input.value : 'gru';
+    }
+
+    // per_track runs one shared-weight model over each track's window;
+    // an embedding size of 0 leaves out the learned track embedding
+    readModelLayout() {
+        const modeInput = document.getElementById('modelLayout');
+        const embeddingInput = document.getElementById('trackEmbeddingSize');
+
+        return {
+            mode: modeInput && modeInput.value ? modeInput.value : 'wide',
+            embeddingSize: embeddingInput && embeddingInput.value ? Math.max(0, parseInt(embeddingInput.value, 10)) : 0
+        };
+    }
+
+    readLRSchedule() {
+        const typeInput = document.getElementById('lrSchedule');
+        const warmupInput = document.getElementById('lrWarmupEpochs');
+
+        return {
+            type: typeInput && typeInput.value ? typeInput.value : 'step',
+            warmupEpochs: warmupInput && warmupInput.value ? Math.max(0, parseInt(warmupInput.value, 10)) : 0
+        };
+    }
+
+    readTask() {
+        const input = document.getElementById('predictionTask');
+        return input && input.value ? input.value : 'classification';
+    }
+
+    // One checkbox per registry feature, grouped, ticked from the loader's selection
+    renderFeatureSelection() {
+        const container = document.getElementById('featureSelectionFields');
+        if (!container) return;
+
+        const groups = [
+            ['raw', 'From the CSV'],
+            ['history', 'Stream history'],
+            ['calendar', 'Calendar']
+        ];
+        container.innerHTML = groups.map(([group, title]) => `
+            <h4>${title}</h4>
+            ${FEATURE_REGISTRY.filter(spec => spec.group === group).map(spec => `
+                <label>
+                    <input type="checkbox" id="feature_${spec.name}" ${this.dataLoader.featureSelection.includes(spec.name) ? 'checked' : ''}>
+                    ${spec.label}
+                </label>
+            `).join('')}
+        `).join('');
+    }
+
+    // Without the checkboxes on the page, every feature is used
+    readFeatureSelection() {
+        return selectableFeatureNames().filter(name => {
+            const input = document.getElementById(`feature_${name}`);
+            return !input || input.checked;
+        });
+    }
+
+    // One event per line (or comma-separated): "YYYY-MM-DD" for a holiday that
+    // applies to every track, "YYYY-MM-DD track_id" for a track's release day
+    readCalendarEvents() {
+        const input = document.getElementById('calendarEvents');
+        if (!input || !input.value) return [];
+
+        return input.value.split(/[,\n]/)
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => {
+                const [date, trackId] = line.split(/\s+/);
+                return { date, trackId: trackId || null };
+            });
+    }
+
+    readNormalization() {
+        const methodInput = document.getElementById('normalizationMethod');
+        const scopeInput = document.getElementById('normalizationScope');
+
+        return {
+            method: methodInput && methodInput.value ? methodInput.value : 'minmax',
+            scope: scopeInput && scopeInput.value ? scopeInput.value : 'per_track'
+        };
+    }
+
+    readImputation() {
+        const input = document.getElementById('imputationStrategy');
+        return input && input.value ? input.value : 'forward_fill';
+    }
+
+    // Re-processes the current CSV with the track selection and window settings from the inputs
+    async applyDataSettings() {
+        if (!this.currentFile) {
+            this.showNotification('Load a CSV file first', 'warning');
+            return;
+        }
+        if (this.isTraining) {
+            this.showNotification('Cannot change data settings while training is in progress', 'warning');
+            return;
+        }
+        if (this.dataLoader.restoredState) {
+            if (this.matchesRestoredState()) {
+                // The calendar is the one setting a manifest leaves open
+                this.showNotification('Data Settings match the loaded model\'s preprocessing manifest; applying the calendar only', 'info');
+            } else {
+                this.dataLoader.clearPreprocessingState();
+                this.showNotification('Discarded the loaded model\'s preprocessing manifest; the CSV is processed and scaled from the Data Settings', 'info');
+            }
+        }
+        await this.handleFileUpload(this.currentFile);
+    }
+
+    // True when the Data Settings inputs still describe the restored manifest
+    matchesRestoredState() {
+        const state = this.dataLoader.restoredState;
+        const { trackIds } = this.readTrackSelection();
+        const current = {
+            tracks: trackIds.map(id => id.trim()).filter(id => id),
+            ...this.readWindowConfig(),
+            imputation: this.readImputation(),
+            task: this.readTask(),
+            features: this.readFeatureSelection(),
+            normalization: this.readNormalization()
+        };
+        const restored = {
+            tracks: state.selectedTracks,
+            windowSize: this.dataLoader.windowSize,
+            horizon: this.dataLoader.horizon,
+            imputation: this.dataLoader.imputation,
+            task: this.dataLoader.task,
+            features: this.dataLoader.featureSelection,
+            normalization: this.dataLoader.normalization
+        };
+        return JSON.stringify(current) === JSON.stringify(restored);
+    }
+
+    // Replaces the current model with an unbuilt one sized for the loaded data.
+    // A preprocessing manifest restored with the old model goes with it, so
+    // later CSV runs follow the Data Settings again
+    resetModel() {
+        if (this.dataLoader.restoredState) {
+            this.dataLoader.clearPreprocessingState();
+            console.log('Discarded the preprocessing manifest of the replaced model');
+        }
+        this.model.dispose();
+        this.model = this.createModel();
+        this.clearEvaluation();
+    }
+
+    // An unbuilt model for the loaded data and the layout chosen in the inputs.
+    // Per-track models see one track's window at a time, so only the window,
+    // features per track and horizon fix their shape
+    createModel(hyperparameters = this.hyperparameters, architecture = this.readArchitecture()) {
+        const layout = this.readModelLayout();
+        const perTrack = layout.mode === 'per_track';
+        return new GRUModel(
+            perTrack ? this.dataLoader.getTrackInputShape() : this.dataLoader.getInputShape(),
+            perTrack ? this.dataLoader.horizon : this.dataLoader.getOutputSize(),
+            architecture,
+            hyperparameters,
+            this.dataLoader.task,
+            layout,
+            this.dataLoader.selectedTracks
+        );
+    }
+
+    // True when the model was built with the layout currently chosen in the inputs
+    matchesModelLayout(model) {
+        const layout = this.readModelLayout();
+        if (model.layout.mode !== layout.mode) return false;
+        return !model.isPerTrack() || model.layout.embeddingSize === layout.embeddingSize;
+    }
+
     updateDataSummary() {
         if (!this.trainingData) return;
         
         const summaryElement = document.getElementById('dataSummary');
         const trainSamples = this.trainingData.X_train ? this.trainingData.X_train.shape[0] : 0;
+        const valSamples = this.trainingData.X_val ? this.trainingData.X_val.shape[0] : 0;
         const testSamples = this.trainingData.X_test ? this.trainingData.X_test.shape[0] : 0;
-        const featuresPerTrack = 9; // Updated feature count
+        const featuresPerTrack = this.dataLoader.featureNames.length;
         const totalFeatures = featuresPerTrack * (this.trainingData.selectedTracks?.length || 0);
         
         summaryElement.innerHTML = `
@@ -80,13 +522,25 @@ class MusicPopularityApp {
                     <h4>Training Samples</h4>
                     <p>${trainSamples}</p>
                 </div>
+                <div class="summary-item">
+                    <h4>Validation Samples</h4>
+                    <p>${valSamples}</p>
+                </div>
                 <div class="summary-item">
                     <h4>Test Samples</h4>
                     <p>${testSamples}</p>
                 </div>
                 <div class="summary-item">
                     <h4>Input Shape</h4>
-                    <p>7 × ${totalFeatures}</p>
+                    <p>${this.dataLoader.windowSize} × ${totalFeatures}</p>
+                </div>
+                <div class="summary-item">
+                    <h4>Horizon</h4>
+                    <p>${this.dataLoader.horizon} day${this.dataLoader.horizon > 1 ? 's' : ''}</p>
+                </div>
+                <div class="summary-item">
+                    <h4>Target</h4>
+                    <p>${TASK_LABELS[this.dataLoader.task]}</p>
                 </div>
                 <div class="summary-item">
                     <h4>Tracks</h4>
@@ -96,23 +550,113 @@ class MusicPopularityApp {
                     <h4>Features/Track</h4>
                     <p>${featuresPerTrack}</p>
                 </div>
+                <div class="summary-item">
+                    <h4>Scaling</h4>
+                    <p>${NORMALIZATION_LABELS[this.dataLoader.normalization.method]}, ${this.dataLoader.normalization.scope === 'global' ? 'global' : 'per track'}</p>
+                </div>
             </div>
             <div style="margin-top: 15px; padding: 10px; background: #e8f5e8; border-radius: 5px;">
-                <strong>Advanced Features:</strong> Streams, Danceability, Energy, Valence, Acousticness, Momentum, Growth Rate, Moving Average, Volatility
+                <strong>Advanced Features:</strong> ${this.dataLoader.featureNames.map(featureLabel).join(', ')}
+                ${this.dataLoader.calendarEvents.length > 0 ?
+                    `<br><small>${this.dataLoader.calendarEvents.length} holiday/release date(s) in the calendar</small>` : ''}
+            </div>
+            ${this.renderQualityReport(this.dataLoader.qualityReport)}
+        `;
+    }
+
+    renderQualityReport(report) {
+        if (!report) return '';
+
+        const issues = [];
+        if (report.rows.skipped > 0) {
+            issues.push(`${report.rows.skipped} row(s) skipped for a missing date or track ID`);
+        }
+        if (report.unparseableDates.count > 0) {
+            issues.push(`${report.unparseableDates.count} row(s) with unparseable dates (e.g. ${report.unparseableDates.examples.join(', ')})`);
+        }
+        if (report.duplicates.count > 0) {
+            issues.push(`${report.duplicates.count} duplicate date/track row(s) - only the first is used (e.g. ${report.duplicates.examples.join(', ')})`);
+        }
+        Object.entries(report.coercedValues).forEach(([field, counts]) => {
+            if (counts.empty + counts.unparseable > 0) {
+                const examples = counts.examples.length > 0 ? ` (e.g. ${counts.examples.join(', ')})` : '';
+                issues.push(`${field}: ${counts.empty} empty and ${counts.unparseable} unparseable value(s) read as 0${examples}`);
+            }
+        });
+        if (report.imputation.imputedTrackDays > 0) {
+            issues.push(`${report.imputation.imputedTrackDays} missing track-day(s) imputed (${report.imputation.strategy.replace('_', ' ')})`);
+        }
+        if (report.unmappedFields.length > 0) {
+            issues.push(`Not in file, filled with 0: ${report.unmappedFields.join(', ')}`);
+        }
+
+        const windows = report.windows;
+        if (windows) {
+            const dropped = windows.candidates - windows.kept;
+            if (dropped > 0) {
+                issues.push(`${dropped} of ${windows.candidates} windows dropped: ` +
+                    `${windows.missingReferenceDay} with a track missing on the reference day, ` +
+                    `${windows.missingFutureDay} with a track missing within the horizon`);
+            }
+            if (windows.split && windows.split.gapExcluded > 0) {
+                issues.push(`${windows.split.gapExcluded} window(s) left out at train/validation/test boundaries ` +
+                    `so no target crosses into a later segment`);
+            }
+            if (windows.windowsWithPadding > 0) {
+                issues.push(`${windows.windowsWithPadding} window(s) contain zero-padded track-days ` +
+                    `(${windows.paddedTrackDays} in total)`);
+            }
+        }
+
+        const trackRowsHTML = report.tracks.map(track => `
+            <tr class="${track.coverage >= 95 ? 'high-accuracy' : track.coverage >= 80 ? 'medium-accuracy' : 'low-accuracy'}">
+                <td>${escapeHTML(track.name)}</td>
+                <td>${track.observedDays}/${track.totalDays} (${track.coverage.toFixed(1)}%)</td>
+                <td>${track.gapCount}</td>
+                <td>${track.longestGap}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="quality-report" style="margin-top: 15px;">
+                <h4>🩺 Data Quality Report</h4>
+                <p><small>${report.rows.total} rows read, ${report.rows.selected} kept for the selected tracks</small></p>
+                ${issues.length > 0 ?
+                    `<ul>${issues.map(issue => `<li>${escapeHTML(issue)}</li>`).join('')}</ul>` :
+                    '<p>No data quality issues found.</p>'}
+                <table class="quality-table">
+                    <thead>
+                        <tr><th>Track</th><th>Date coverage</th><th>Gaps</th><th>Longest gap (days)</th></tr>
+                    </thead>
+                    <tbody>
+                        ${trackRowsHTML}
+                    </tbody>
+                </table>
             </div>
         `;
     }
 
     async trainModel() {
-        await this._trainModel(100, 32); // Standard training
+        await this._trainModel(100); // Standard training, batch size from the active hyperparameters
+    }
+
+    // Continue training a loaded (or previously trained) model for a shorter run
+    async fineTuneModel() {
+        if (!this.model.model) {
+            this.showNotification('No model to fine-tune. Load or train a model first.', 'warning');
+            return;
+        }
+        await this._trainModel(50, null, true);
     }
 
     // NEW: Advanced training with more epochs
     async advancedTrainModel() {
-        await this._trainModel(200, 64); // Advanced training
+        await this._trainModel(200); // Advanced training, batch size from the active hyperparameters
     }
 
-    async _trainModel(epochs, batchSize) {
+    // batchSize null means the model's own hyperparameter. initialEpoch,
+    // schedule and resume are only passed when continuing a checkpointed run
+    async _trainModel(epochs, batchSize = null, fineTune = false, { initialEpoch = 0, schedule = null, resume = null } = {}) {
         if (this.isTraining) {
             this.showNotification('Training already in progress', 'warning');
             return;
@@ -123,94 +667,517 @@ class MusicPopularityApp {
                 throw new Error('No training data available. Please load CSV file first.');
             }
 
+            const mismatch = this.checkModelCompatibility();
+            if (mismatch) {
+                if (fineTune) {
+                    throw new Error(`Current model does not fit this data: ${mismatch}`);
+                }
+                this.showNotification(`Building a new model for the current data (${mismatch})`, 'warning');
+                this.resetModel();
+            } else if (!fineTune && (this.model.architecture !== this.readArchitecture() ||
+                !this.matchesModelLayout(this.model))) {
+                if (this.model.model) {
+                    this.showNotification(`Building a new ${MODEL_ARCHITECTURES[this.readArchitecture()].label} model`, 'info');
+                }
+                this.resetModel();
+            }
+
+            // No loading overlay here: it would cover the Stop/Pause controls
             this.isTraining = true;
-            this.showLoading(`Training advanced model with ${epochs} epochs...`);
+            this.lastTrainingProgress = null;
+            this.clearEvaluation();
             this.initializeTrainingCharts();
+            this.setTrainingControls(true);
             
-            document.getElementById('trainModel').disabled = true;
-            document.getElementById('advancedTrain').disabled = true;
+            // The model is mid-fit: evaluating, forecasting or saving it would race the weight updates
+            TRAIN_RUN_BUTTONS.forEach(id => { document.getElementById(id).disabled = true; });
             document.getElementById('trainingProgress').innerHTML = 
                 '<span style="color: orange;">Advanced training started with feature engineering...</span>';
             
+            const runBatchSize = batchSize || this.model.hyperparameters.batchSize;
+            const runSchedule = schedule || this.readLRSchedule();
             await this.model.fit(
                 this.trainingData.X_train, 
                 this.trainingData.y_train, 
-                this.trainingData.X_test, 
-                this.trainingData.y_test, 
+                this.trainingData.X_val, 
+                this.trainingData.y_val, 
                 epochs,
-                batchSize
+                runBatchSize,
+                {
+                    schedule: runSchedule,
+                    initialEpoch,
+                    resume,
+                    checkpoint: { preprocessing: this.dataLoader.exportPreprocessingState() }
+                }
             );
+            await this.registerRun({ epochs, batchSize: runBatchSize, schedule: runSchedule, initialEpoch, fineTune });
+
+            // The checkpoint only matters for runs cut short by a reload
+            await this.discardCheckpoint({ notify: false });
             
-            this.hideLoading();
-            this.showNotification(`Advanced model training completed! Target: >70% accuracy`, 'success');
+            if (this.model.stoppedBy === 'user') {
+                const restored = this.model.bestWeights && document.getElementById('restoreBestOnStop').checked;
+                this.showNotification(`Training stopped after ${initialEpoch + this.model.history.loss.length} epochs` +
+                    (restored ? ` - restored best weights (val loss ${this.model.bestValLoss.toFixed(4)})` : ''), 'warning');
+            } else {
+                this.showNotification(`Advanced model training completed! Target: >70% accuracy`, 'success');
+            }
         } catch (error) {
-            this.hideLoading();
             this.showNotification('Training error: ' + error.message, 'error');
             console.error('Training error:', error);
         } finally {
             this.isTraining = false;
-            document.getElementById('trainModel').disabled = false;
-            document.getElementById('advancedTrain').disabled = false;
+            this.setTrainingControls(false);
+            TRAIN_RUN_BUTTONS.forEach(id => { document.getElementById(id).disabled = false; });
         }
     }
 
-    initializeTrainingCharts() {
-        const lossCtx = document.getElementById('lossChart').getContext('2d');
-        const accuracyCtx = document.getElementById('accuracyChart').getContext('2d');
+    // Stop/Pause/Resume only apply to the main training run, not backtest or search trials
+    setTrainingControls(running) {
+        const paused = running && this.model.isPaused();
+        document.getElementById('stopTraining').disabled = !running;
+        document.getElementById('pauseTraining').disabled = !running || paused;
+        document.getElementById('resumeTraining').disabled = !paused;
+    }
 
-        if (this.charts.lossChart) this.charts.lossChart.destroy();
-        if (this.charts.accuracyChart) this.charts.accuracyChart.destroy();
+    pauseTraining() {
+        if (!this.isTraining) return;
+        this.model.pause();
+        this.setTrainingControls(true);
+        this.renderTrainingStatus();
+    }
 
-        this.charts.lossChart = new Chart(lossCtx, {
-            type: 'line',
-            data: {
-                datasets: [
-                    {
-                        label: 'Training Loss',
-                        borderColor: 'rgb(255, 99, 132)',
-                        backgroundColor: 'rgba(255, 99, 132, 0.1)',
-                        data: [],
-                        tension: 0.4,
-                        fill: true
-                    },
-                    {
-                        label: 'Validation Loss',
-                        borderColor: 'rgb(54, 162, 235)',
-                        backgroundColor: 'rgba(54, 162, 235, 0.1)',
-                        data: [],
-                        tension: 0.4,
-                        fill: true
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    title: { display: true, text: 'Training & Validation Loss' },
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false
-                    }
-                },
-                scales: {
-                    x: {
-                        type: 'linear',
-                        title: { display: true, text: 'Epoch' }
-                    },
-                    y: {
-                        beginAtZero: true,
-                        title: { display: true, text: 'Loss' }
-                    }
-                }
+    resumeTraining() {
+        if (!this.isTraining) return;
+        this.model.resume();
+        this.setTrainingControls(true);
+        this.renderTrainingStatus();
+    }
+
+    stopTraining() {
+        if (!this.isTraining) return;
+        const restoreBest = document.getElementById('restoreBestOnStop').checked;
+        this.model.stop({ restoreBest });
+        document.getElementById('stopTraining').disabled = true;
+        this.renderTrainingStatus();
+    }
+
+    async refreshCheckpointStatus() {
+        const element = document.getElementById('checkpointStatus');
+        if (!element) return;
+
+        let checkpoint = null;
+        try {
+            checkpoint = await GRUModel.findCheckpoint();
+        } catch (error) {
+            console.warn('Could not read training checkpoints:', error);
+        }
+
+        document.getElementById('continueCheckpoint').disabled = !checkpoint;
+        document.getElementById('discardCheckpoint').disabled = !checkpoint;
+        element.innerHTML = checkpoint ?
+            `<p>An unfinished run was checkpointed on ${new Date(checkpoint.dateSaved).toLocaleString()}. Load the same CSV, then continue it.</p>` :
+            '<p>No unfinished training run</p>';
+    }
+
+    // Reloads the best weights of an interrupted run from IndexedDB, with its
+    // manifest, and trains the remaining epochs on the same schedule
+    async continueCheckpoint() {
+        if (this.isTraining) {
+            this.showNotification('Training already in progress', 'warning');
+            return;
+        }
+        if (!this.currentFile) {
+            this.showNotification('Load the CSV the checkpointed run was trained on first', 'warning');
+            return;
+        }
+
+        let progress;
+        try {
+            this.showLoading('Restoring training checkpoint...');
+            const loadedModel = new GRUModel();
+            await loadedModel.loadModel(TRAINING_CHECKPOINT_URL);
+            progress = loadedModel.getCheckpointState();
+            await this.adoptLoadedModel(loadedModel);
+            this.hideLoading();
+
+            const mismatch = this.checkModelCompatibility();
+            if (mismatch) {
+                throw new Error(`Checkpoint does not fit the current data: ${mismatch}`);
             }
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Error restoring checkpoint: ' + error.message, 'error');
+            console.error('Checkpoint restore error:', error);
+            return;
+        }
+
+        if (!progress || progress.epoch >= progress.epochs) {
+            await this.discardCheckpoint({ notify: false });
+            this.showNotification('Checkpoint restored; its run had no epochs left', 'success');
+            return;
+        }
+
+        this.showNotification(`Continuing from epoch ${progress.epoch} of ${progress.epochs} (best val loss ${progress.bestValLoss.toFixed(4)})`, 'info');
+        await this._trainModel(progress.epochs, progress.batchSize, true, {
+            initialEpoch: progress.epoch,
+            schedule: progress.schedule,
+            resume: progress
         });
+    }
 
-        this.charts.accuracyChart = new Chart(accuracyCtx, {
+    async discardCheckpoint({ notify = true } = {}) {
+        try {
+            await GRUModel.removeCheckpoint();
+            if (notify) {
+                this.showNotification('Training checkpoint discarded', 'success');
+            }
+        } catch (error) {
+            console.warn('Could not remove training checkpoint:', error);
+        }
+        await this.refreshCheckpointStatus();
+    }
+
+    // Adds the run that just finished to the model registry, scored on the
+    // validation and test splits
+    async registerRun(training) {
+        try {
+            const validation = await this.model.evaluate(this.trainingData.X_val, this.trainingData.y_val);
+            const test = await this.model.evaluate(this.trainingData.X_test, this.trainingData.y_test);
+            const history = this.model.history;
+            const scores = this.model.isRegression() ?
+                { valMae: validation.mae, testMae: test.mae } :
+                { valAccuracy: validation.accuracy * 100, testAccuracy: test.accuracy * 100 };
+
+            const entry = await this.registry.add(this.model, {
+                preprocessing: this.dataLoader.exportPreprocessingState(),
+                dataset: this.dataLoader.getDatasetFingerprint(),
+                training: {
+                    ...training,
+                    epochsRun: history.loss.length,
+                    stoppedBy: this.model.stoppedBy
+                },
+                history: Object.fromEntries(Object.entries(history).map(([key, values]) => [key, values.slice()])),
+                metrics: {
+                    bestValLoss: this.model.bestValLoss,
+                    valLoss: validation.loss,
+                    testLoss: test.loss,
+                    ...scores
+                }
+            });
+            console.log(`Registered run ${entry.id} (${entry.name})`);
+            this.renderRegistry();
+        } catch (error) {
+            console.error('Model registry error:', error);
+            this.showNotification('Run finished but could not be added to the registry: ' + error.message, 'warning');
+        }
+    }
+
+    // Same rows and the same window/horizon/imputation/target as the loaded CSV.
+    // Runs registered before the target was selectable were direction classifiers
+    isCurrentDataset(dataset) {
+        if (!this.trainingData || !dataset) return false;
+        const current = this.dataLoader.getDatasetFingerprint();
+        // Runs registered before these were recorded used the defaults
+        const recorded = {
+            ...dataset,
+            task: dataset.task || 'classification',
+            featureNames: dataset.featureNames ||
+                this.dataLoader.featureNamesFor(dataset.imputation, selectableFeatureNames()),
+            normalization: dataset.normalization || { method: 'minmax', scope: 'per_track' },
+            calendarEvents: dataset.calendarEvents || []
+        };
+        return ['hash', 'tracks', 'windowSize', 'horizon', 'imputation', 'task', 'featureNames', 'normalization', 'calendarEvents']
+            .every(key => JSON.stringify(current[key]) === JSON.stringify(recorded[key]));
+    }
+
+    // Accuracy for direction runs, MAE (scaled target units) for regression runs
+    formatRunScore(metrics, split) {
+        if (Number.isFinite(metrics[`${split}Mae`])) {
+            return `MAE ${metrics[`${split}Mae`].toFixed(4)}`;
+        }
+        return Number.isFinite(metrics[`${split}Accuracy`]) ? `${metrics[`${split}Accuracy`].toFixed(1)}%` : '-';
+    }
+
+    renderRegistry() {
+        const element = document.getElementById('registryList');
+        if (!element) return;
+
+        const entries = this.registry.list();
+        if (entries.length === 0) {
+            element.innerHTML = '<p>No registered runs yet. Every finished training run is added here.</p>';
+            return;
+        }
+
+        const format = (value, digits, suffix = '') =>
+            Number.isFinite(value) ? `${value.toFixed(digits)}${suffix}` : '-';
+
+        const rowsHTML = entries.map(entry => {
+            const dataLabel = this.isCurrentDataset(entry.dataset) ?
+                '<span style="color: green;">current</span>' :
+                `<span title="${escapeHTML(`${entry.dataset.firstDate} → ${entry.dataset.lastDate}`)}">${entry.dataset.hash}</span>`;
+            return `
+                <tr>
+                    <td><input type="checkbox" data-action="select" data-run-id="${entry.id}" ${this.registrySelection.has(entry.id) ? 'checked' : ''}></td>
+                    <td>${escapeHTML(entry.name)}</td>
+                    <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>${MODEL_ARCHITECTURES[entry.architecture]?.label || entry.architecture}</td>
+                    <td>${dataLabel}</td>
+                    <td>${entry.training.epochsRun}</td>
+                    <td>${format(entry.metrics.valLoss, 4)}</td>
+                    <td>${this.formatRunScore(entry.metrics, 'val')}</td>
+                    <td>${this.formatRunScore(entry.metrics, 'test')}</td>
+                    <td>
+                        <button data-action="reload" data-run-id="${entry.id}">Reload</button>
+                        <button data-action="rename" data-run-id="${entry.id}">Rename</button>
+                        <button data-action="delete" data-run-id="${entry.id}">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        element.innerHTML = `
+            <table class="backtest-table">
+                <thead>
+                    <tr><th></th><th>Name</th><th>Trained</th><th>Architecture</th><th>Data</th><th>Epochs</th><th>Val loss</th><th>Val accuracy / MAE</th><th>Test accuracy / MAE</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Click delegation for the buttons and checkboxes rendered by renderRegistry()
+    async handleRegistryAction(target) {
+        const { action, runId } = target.dataset || {};
+        if (!action || !runId) return;
+
+        if (action === 'select') {
+            if (target.checked) {
+                this.registrySelection.add(runId);
+            } else {
+                this.registrySelection.delete(runId);
+            }
+        } else if (action === 'reload') {
+            await this.reloadRegisteredRun(runId);
+        } else if (action === 'rename') {
+            this.renameRegisteredRun(runId);
+        } else if (action === 'delete') {
+            await this.deleteRegisteredRun(runId);
+        }
+    }
+
+    async reloadRegisteredRun(id) {
+        if (this.isTraining) {
+            this.showNotification('Cannot load a model while training is in progress', 'warning');
+            return;
+        }
+
+        const entry = this.registry.get(id);
+        if (!entry) return;
+
+        try {
+            this.showLoading(`Loading ${entry.name}...`);
+            const loadedModel = await this.registry.load(id);
+            await this.adoptLoadedModel(loadedModel);
+            this.hideLoading();
+
+            const mismatch = this.checkModelCompatibility();
+            if (mismatch) {
+                this.showNotification(`${entry.name} loaded, but it does not fit the current data: ${mismatch}`, 'warning');
+            } else if (this.trainingData && !this.isCurrentDataset(entry.dataset)) {
+                this.showNotification(`${entry.name} loaded; it was trained on different data (${entry.dataset.hash})`, 'warning');
+            } else {
+                this.showNotification(`${entry.name} is now the active model`, 'success');
+            }
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Error loading registered run: ' + error.message, 'error');
+            console.error('Registry load error:', error);
+        }
+    }
+
+    renameRegisteredRun(id) {
+        const entry = this.registry.get(id);
+        if (!entry) return;
+
+        const name = prompt('Rename run', entry.name);
+        if (!name || !name.trim()) return;
+        this.registry.rename(id, name.trim());
+        this.renderRegistry();
+    }
+
+    async deleteRegisteredRun(id) {
+        const entry = this.registry.get(id);
+        if (!entry || !confirm(`Delete ${entry.name}? Its stored model is removed as well.`)) return;
+
+        await this.registry.remove(id);
+        this.registrySelection.delete(id);
+        this.renderRegistry();
+        this.showNotification(`${entry.name} deleted`, 'success');
+    }
+
+    compareRegisteredRuns() {
+        const entries = this.registry.list().filter(entry => this.registrySelection.has(entry.id));
+        if (entries.length < 2) {
+            this.showNotification('Select at least two runs to compare', 'warning');
+            return;
+        }
+
+        const element = document.getElementById('registryComparison');
+        const format = (value, digits, suffix = '') =>
+            Number.isFinite(value) ? `${value.toFixed(digits)}${suffix}` : '-';
+        const rows = [
+            ['Architecture', e => MODEL_ARCHITECTURES[e.architecture]?.label || e.architecture],
+            ['Units', e => e.hyperparameters.units],
+            ['Dropout', e => format(e.hyperparameters.dropout, 2)],
+            ['L2', e => e.hyperparameters.l2.toExponential(1)],
+            ['Learning rate', e => e.hyperparameters.learningRate.toExponential(1)],
+            ['LR schedule', e => e.training.schedule ? e.training.schedule.type : '-'],
+            ['Batch size', e => e.training.batchSize],
+            ['Epochs run', e => `${e.training.epochsRun}${e.training.stoppedBy ? ` (${e.training.stoppedBy})` : ''}`],
+            ['Data', e => `${e.dataset.hash} · ${e.dataset.tracks} tracks · ${e.dataset.windowSize}d window · D+${e.dataset.horizon}`],
+            ['Target', e => TASK_LABELS[e.dataset.task || 'classification']],
+            ['Layout', e => e.layout && e.layout.mode === 'per_track' ?
+                `Per track${e.layout.embeddingSize > 0 ? `, ${e.layout.embeddingSize}-d track embedding` : ''}` : 'Wide'],
+            ['Best val loss', e => format(e.metrics.bestValLoss, 4)],
+            ['Val accuracy / MAE', e => this.formatRunScore(e.metrics, 'val')],
+            ['Test loss', e => format(e.metrics.testLoss, 4)],
+            ['Test accuracy / MAE', e => this.formatRunScore(e.metrics, 'test')]
+        ];
+
+        element.innerHTML = `
+            <table class="backtest-table">
+                <thead>
+                    <tr><th></th>${entries.map(e => `<th>${escapeHTML(e.name)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, value]) => `
+                        <tr><td>${label}</td>${entries.map(e => `<td>${value(e)}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.createRegistryComparisonChart(entries);
+    }
+
+    createRegistryComparisonChart(entries) {
+        const canvas = document.getElementById('registryCompareChart');
+        if (!canvas) return;
+
+        if (this.charts.registryCompareChart) {
+            this.charts.registryCompareChart.destroy();
+        }
+
+        const colors = ['rgb(255, 99, 132)', 'rgb(54, 162, 235)', 'rgb(75, 192, 192)',
+            'rgb(153, 102, 255)', 'rgb(255, 159, 64)', 'rgb(201, 203, 207)'];
+        this.charts.registryCompareChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: entries.map((entry, i) => ({
+                    label: entry.name,
+                    borderColor: colors[i % colors.length],
+                    data: entry.history.val_loss.map((y, epoch) =>
+                        ({ x: (entry.training.initialEpoch || 0) + epoch + 1, y })),
+                    tension: 0.4,
+                    fill: false
+                }))
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: 'Validation Loss by Run' }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Epoch' }
+                    },
+                    y: {
+                        title: { display: true, text: 'Validation loss' }
+                    }
+                }
+            }
+        });
+    }
+
+    initializeTrainingCharts() {
+        const lossCtx = document.getElementById('lossChart').getContext('2d');
+        const accuracyCtx = document.getElementById('accuracyChart').getContext('2d');
+
+        if (this.charts.lossChart) this.charts.lossChart.destroy();
+        if (this.charts.accuracyChart) this.charts.accuracyChart.destroy();
+
+        this.charts.lossChart = new Chart(lossCtx, {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Training Loss',
+                        borderColor: 'rgb(255, 99, 132)',
+                        backgroundColor: 'rgba(255, 99, 132, 0.1)',
+                        data: [],
+                        tension: 0.4,
+                        fill: true
+                    },
+                    {
+                        label: 'Validation Loss',
+                        borderColor: 'rgb(54, 162, 235)',
+                        backgroundColor: 'rgba(54, 162, 235, 0.1)',
+                        data: [],
+                        tension: 0.4,
+                        fill: true
+                    },
+                    {
+                        label: 'Learning Rate',
+                        borderColor: 'rgb(255, 159, 64)',
+                        borderDash: [5, 5],
+                        data: [],
+                        pointRadius: 0,
+                        fill: false,
+                        yAxisID: 'lr'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: 'Training & Validation Loss (with learning rate)' },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Epoch' }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: 'Loss' }
+                    },
+                    lr: {
+                        type: 'logarithmic',
+                        position: 'right',
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'Learning rate' }
+                    }
+                }
+            }
+        });
+
+        // Regression runs plot MAE (in scaled target units) on this chart instead
+        const regression = this.dataLoader.isRegression();
+        const metricLabel = regression ? 'MAE' : 'Accuracy';
+        this.charts.accuracyChart = new Chart(accuracyCtx, {
             type: 'line',
             data: {
                 datasets: [
                     {
-                        label: 'Training Accuracy',
+                        label: `Training ${metricLabel}`,
                         borderColor: 'rgb(75, 192, 192)',
                         backgroundColor: 'rgba(75, 192, 192, 0.1)',
                         data: [],
@@ -218,102 +1185,1327 @@ class MusicPopularityApp {
                         fill: true
                     },
                     {
-                        label: 'Validation Accuracy',
-                        borderColor: 'rgb(153, 102, 255)',
-                        backgroundColor: 'rgba(153, 102, 255, 0.1)',
-                        data: [],
-                        tension: 0.4,
-                        fill: true
+                        label: `Validation ${metricLabel}`,
+                        borderColor: 'rgb(153, 102, 255)',
+                        backgroundColor: 'rgba(153, 102, 255, 0.1)',
+                        data: [],
+                        tension: 0.4,
+                        fill: true
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: `Training & Validation ${metricLabel}` },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Epoch' }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        max: regression ? undefined : 1,
+                        title: { display: true, text: metricLabel }
+                    }
+                }
+            }
+        });
+    }
+
+    updateTrainingProgress(progress) {
+        if (this.charts.lossChart) {
+            this.charts.lossChart.data.datasets[0].data.push({x: progress.epoch, y: progress.loss});
+            this.charts.lossChart.data.datasets[1].data.push({x: progress.epoch, y: progress.val_loss});
+            this.charts.lossChart.data.datasets[2].data.push({x: progress.epoch, y: progress.learningRate});
+            this.charts.lossChart.update('none');
+        }
+
+        if (this.charts.accuracyChart) {
+            const metric = progress.metricName || 'accuracy';
+            this.charts.accuracyChart.data.datasets[0].data.push({x: progress.epoch, y: progress[metric]});
+            this.charts.accuracyChart.data.datasets[1].data.push({x: progress.epoch, y: progress[`val_${metric}`]});
+            this.charts.accuracyChart.update('none');
+        }
+
+        this.lastTrainingProgress = progress;
+        this.renderTrainingStatus();
+    }
+
+    renderTrainingStatus() {
+        const progress = this.lastTrainingProgress;
+        if (!progress) return;
+
+        const lrInfo = progress.learningRate ? ` | LR: ${progress.learningRate.toFixed(6)}` : '';
+        const earlyStoppingInfo = progress.earlyStopping > 0 ? 
+            ` | Early stopping: ${progress.earlyStopping}` : '';
+        let controlInfo = '';
+        if (this.isTraining && this.model.stopRequest) {
+            controlInfo = ' | <span style="color: red;">Stopping after this epoch...</span>';
+        } else if (this.isTraining && this.model.isPaused()) {
+            controlInfo = ' | <span style="color: orange;">Paused</span>';
+        }
+            
+        const metric = progress.metricName || 'accuracy';
+        const metricLabel = metric === 'mae' ? 'MAE' : 'Acc';
+        document.getElementById('trainingProgress').innerHTML = 
+            `Epoch: ${progress.epoch} | Loss: ${progress.loss.toFixed(4)} | ${metricLabel}: ${progress[metric].toFixed(4)} | Val Loss: ${progress.val_loss.toFixed(4)} | Val ${metricLabel}: ${progress[`val_${metric}`].toFixed(4)}${lrInfo}${earlyStoppingInfo}${controlInfo}`;
+    }
+
+    async evaluateModel() {
+        try {
+            if (!this.trainingData || !this.trainingData.X_test) {
+                throw new Error('No test data available. Please load data and train model first.');
+            }
+
+            if (this.dataLoader.isRegression()) {
+                await this.evaluateRegression();
+                return;
+            }
+
+            this.showLoading('Evaluating advanced model with ensemble predictions...');
+            
+            const evaluation = await this.model.evaluate(this.trainingData.X_test, this.trainingData.y_test);
+            
+            // NEW: Use ensemble prediction for better accuracy
+            const predictions = await this.model.predictWithUncertainty(this.trainingData.X_test, 3);
+            const predicted = await predictions.array();
+            const actual = await this.trainingData.y_test.array();
+
+            const reliability = computeReliability(predicted.flat(), actual.flat().map(y => y > 0.5));
+
+            const featureImportance = await this.computeFeatureImportance();
+            // Breakouts look at the latest data in the CSV, past the last test window
+            let latest = predicted[predicted.length - 1] || [];
+            try {
+                latest = await this.predictLatestWindow();
+            } catch (error) {
+                console.warn('Breakout detection falls back to the last test window:', error);
+            }
+            const breakoutTracks = this.detectBreakoutTracks(latest, this.trainingData);
+            const baselines = await this.evaluateBaselines();
+
+            predictions.dispose();
+
+            // Kept so the decision threshold can be moved without predicting again
+            this.evaluationState = { evaluation, predicted, actual, reliability, breakoutTracks, baselines };
+            const consistentAccuracy = await this.renderThresholdedEvaluation();
+            
+            this.displayFeatureImportance(featureImportance);
+            this.displayBreakoutDetection(breakoutTracks);
+            
+            this.hideLoading();
+            
+            // NEW: Performance assessment
+            this.assessPerformance(consistentAccuracy, evaluation.loss);
+            
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Evaluation error: ' + error.message, 'error');
+            console.error('Evaluation error:', error);
+        }
+    }
+
+    readDecisionThreshold() {
+        const input = document.getElementById('decisionThreshold');
+        const value = input ? parseFloat(input.value) : NaN;
+        return Number.isFinite(value) ? value : 0.5;
+    }
+
+    async updateDecisionThreshold() {
+        const threshold = this.readDecisionThreshold();
+        const label = document.getElementById('decisionThresholdValue');
+        if (label) label.textContent = threshold.toFixed(2);
+        if (!this.evaluationState) return;
+
+        try {
+            await this.renderThresholdedEvaluation();
+        } catch (error) {
+            this.showNotification('Error applying the decision threshold: ' + error.message, 'error');
+            console.error('Decision threshold error:', error);
+        }
+    }
+
+    // Drops the cached test predictions and the panels drawn from them. Called
+    // whenever the active model's weights or calibration change, so the
+    // threshold slider never redraws another model's results
+    clearEvaluation() {
+        this.evaluationState = null;
+
+        const placeholders = {
+            evaluationResults: '<p>Evaluate the current model to see its results</p>',
+            classificationMetrics: '<p>Evaluate a direction model to see confusion matrices, ROC and precision-recall curves</p>',
+            hitPotentialMeter: '<h4>🎵 Hit Potential Meter</h4><p>Run evaluation to see track potential</p>',
+            featureImportance: '<h2>🔍 Feature Importance</h2><p>Feature importance analysis will appear here after evaluation</p>',
+            breakoutDetection: '<h2>🚀 Breakout Detection</h2><p>Unusual pattern detection will appear here</p>'
+        };
+        Object.entries(placeholders).forEach(([id, html]) => {
+            const element = document.getElementById(id);
+            if (element) element.innerHTML = html;
+        });
+        ['rocChart', 'prChart', 'accuracyRankingChart', 'dayAccuracyChart'].forEach(key => {
+            if (this.charts[key]) {
+                this.charts[key].destroy();
+                this.charts[key] = null;
+            }
+        });
+    }
+
+    // Everything in the evaluation that depends on the decision threshold,
+    // recomputed from the cached test predictions. Baselines stay at 0.5.
+    // Resolves to the ensemble accuracy at the threshold
+    async renderThresholdedEvaluation() {
+        const { evaluation, predicted, actual, reliability, breakoutTracks, baselines } = this.evaluationState;
+        const threshold = this.readDecisionThreshold();
+        const tracks = this.dataLoader.selectedTracks;
+        const horizon = this.dataLoader.horizon;
+
+        const predictions = tf.tensor2d(predicted);
+        const targets = tf.tensor2d(actual);
+        const consistentAccuracy = await this.model.computeConsistentAccuracy(predictions, targets, threshold);
+        const accuracyAnalysis = this.model.computeTrackSpecificAccuracy(
+            predictions, targets, this.trainingData.trackMetadata, horizon, threshold
+        );
+        predictions.dispose();
+        targets.dispose();
+
+        const metrics = this.model.computeClassificationMetrics(predicted, actual, tracks, horizon, threshold);
+
+        this.displayEvaluationResults(evaluation, consistentAccuracy, accuracyAnalysis, baselines, reliability);
+        this.createAccuracyRankingChart(accuracyAnalysis.trackAccuracies);
+        this.createHitPotentialMeter(accuracyAnalysis.trackAccuracies, breakoutTracks);
+        this.createDayAccuracyChart(accuracyAnalysis.dayAccuracies);
+        this.displayClassificationMetrics(metrics);
+        this.createRocPrCharts(metrics);
+        return consistentAccuracy;
+    }
+
+    displayClassificationMetrics(metrics) {
+        const element = document.getElementById('classificationMetrics');
+        if (!element) return;
+
+        const fixed = (value, digits = 3) => Number.isFinite(value) ? value.toFixed(digits) : '-';
+        const percent = value => Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '-';
+        const row = (label, m) => `
+            <tr>
+                <td>${label}</td>
+                <td>${m.confusion.tp}</td>
+                <td>${m.confusion.fp}</td>
+                <td>${m.confusion.fn}</td>
+                <td>${m.confusion.tn}</td>
+                <td>${percent(m.accuracy)}</td>
+                <td>${fixed(m.precision)}</td>
+                <td>${fixed(m.recall)}</td>
+                <td>${fixed(m.f1)}</td>
+                <td>${fixed(m.mcc)}</td>
+                <td>${fixed(m.rocAuc)}</td>
+                <td>${fixed(m.prAuc)}</td>
+                <td>${fixed(m.brier)}</td>
+            </tr>
+        `;
+        const header = first => `
+            <tr><th>${first}</th><th>TP</th><th>FP</th><th>FN</th><th>TN</th><th>Accuracy</th><th>Precision</th>
+            <th>Recall</th><th>F1</th><th>MCC</th><th>ROC-AUC</th><th>PR-AUC</th><th>Brier</th></tr>
+        `;
+        const { tp, fp, fn, tn } = metrics.overall.confusion;
+
+        element.innerHTML = `
+            <h4>🧮 Test set at threshold ${metrics.threshold.toFixed(2)}</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th></th><th>Actual up</th><th>Actual down</th></tr>
+                </thead>
+                <tbody>
+                    <tr><th>Predicted up</th><td class="high-accuracy">${tp}</td><td class="low-accuracy">${fp}</td></tr>
+                    <tr><th>Predicted down</th><td class="low-accuracy">${fn}</td><td class="high-accuracy">${tn}</td></tr>
+                </tbody>
+            </table>
+            <table class="backtest-table">
+                <thead>${header('')}</thead>
+                <tbody>
+                    ${row('<strong>All outputs</strong>', metrics.overall)}
+                    ${metrics.days.map((m, day) => row(`D+${day + 1}`, m)).join('')}
+                </tbody>
+            </table>
+            <h4>🎵 Per track</h4>
+            <table class="backtest-table">
+                <thead>${header('Track')}</thead>
+                <tbody>
+                    ${Array.from(metrics.tracks.entries()).map(([trackId, m]) =>
+                        row(escapeHTML(this.dataLoader.trackMetadata.get(trackId)?.name || trackId), m)).join('')}
+                </tbody>
+            </table>
+            <p><small>"Up" means the soft target is above 0.5. ROC-AUC, PR-AUC (average precision) and Brier score do not depend on the threshold.</small></p>
+        `;
+    }
+
+    createRocPrCharts(metrics) {
+        // showOperating false leaves out the threshold marker
+        const curveChart = (canvasId, chartKey, title, curve, area, axes, baseline, showOperating = true) => {
+            const canvas = document.getElementById(canvasId);
+            if (!canvas) return;
+            if (this.charts[chartKey]) this.charts[chartKey].destroy();
+
+            // The current operating point is the curve point with the lowest
+            // threshold still above the decision threshold
+            const above = curve.points.filter(point => point.threshold > metrics.threshold);
+            const operating = !showOperating ? null :
+                above.length > 0 ? above[above.length - 1] : curve.points[0];
+
+            this.charts[chartKey] = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    datasets: [
+                        {
+                            label: `Model (${area})`,
+                            borderColor: 'rgb(54, 162, 235)',
+                            data: curve.points.map(({ x, y }) => ({ x, y })),
+                            pointRadius: 0,
+                            fill: false
+                        },
+                        {
+                            label: `Threshold ${metrics.threshold.toFixed(2)}`,
+                            borderColor: 'rgb(255, 99, 132)',
+                            backgroundColor: 'rgb(255, 99, 132)',
+                            data: operating ? [{ x: operating.x, y: operating.y }] : [],
+                            pointRadius: 6,
+                            showLine: false
+                        },
+                        {
+                            label: 'Chance',
+                            borderColor: 'rgb(201, 203, 207)',
+                            borderDash: [5, 5],
+                            data: baseline,
+                            pointRadius: 0,
+                            fill: false
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    plugins: {
+                        title: { display: true, text: title }
+                    },
+                    scales: {
+                        x: { type: 'linear', min: 0, max: 1, title: { display: true, text: axes[0] } },
+                        y: { min: 0, max: 1, title: { display: true, text: axes[1] } }
+                    }
+                }
+            });
+        };
+
+        const fixed = value => Number.isFinite(value) ? value.toFixed(3) : '-';
+        const { tp, fp, fn, tn } = metrics.overall.confusion;
+        const positiveRate = (tp + fn) / Math.max(1, tp + fp + fn + tn);
+
+        curveChart('rocChart', 'rocChart', 'ROC Curve (test set)', metrics.roc,
+            `AUC ${fixed(metrics.roc.auc)}`, ['False positive rate', 'True positive rate'],
+            [{ x: 0, y: 0 }, { x: 1, y: 1 }]);
+        curveChart('prChart', 'prChart', 'Precision-Recall Curve (test set)', metrics.precisionRecall,
+            `AP ${fixed(metrics.precisionRecall.averagePrecision)}`, ['Recall', 'Precision'],
+            [{ x: 0, y: positiveRate }, { x: 1, y: positiveRate }],
+            // Precision is undefined when nothing is predicted positive, so there is no point to mark
+            tp + fp > 0);
+    }
+
+    // Regression counterpart of evaluateModel(): error metrics on stream counts
+    // recovered from the scaled targets. The direction analytics (baselines,
+    // feature importance, breakouts) score up/down calls and are skipped
+    async evaluateRegression() {
+        this.showLoading('Evaluating stream forecasts with ensemble predictions...');
+
+        const { X_test, y_test, testReferenceStreams, selectedTracks } = this.trainingData;
+        const evaluation = await this.model.evaluate(X_test, y_test);
+        const predictions = await this.model.predictWithUncertainty(X_test, 3);
+        const predicted = this.toStreamCounts(await predictions.array(), testReferenceStreams);
+        const actual = this.toStreamCounts(await y_test.array(), testReferenceStreams);
+        predictions.dispose();
+
+        const metrics = this.model.computeRegressionMetrics(predicted, actual, selectedTracks, this.dataLoader.horizon);
+
+        this.hideLoading();
+        this.displayRegressionResults(evaluation, metrics);
+        this.showNotification(`Test MAE ${this.formatStreams(metrics.overall.mae)} streams, ` +
+            `sMAPE ${metrics.overall.smape.toFixed(1)}%`, 'success');
+        console.log('📈 Regression metrics:', metrics.overall);
+    }
+
+    // Model-space rows ([sample][track-major output]) to stream counts
+    toStreamCounts(rows, referenceStreams) {
+        const horizon = this.dataLoader.horizon;
+        const tracks = this.dataLoader.selectedTracks;
+        return rows.map((row, sampleIdx) => row.map((value, idx) => {
+            const trackIdx = Math.floor(idx / horizon);
+            return this.dataLoader.toStreamCount(value, tracks[trackIdx], referenceStreams[sampleIdx][trackIdx]);
+        }));
+    }
+
+    formatStreams(value) {
+        return isFinite(value) ? Math.round(value).toLocaleString() : '-';
+    }
+
+    displayRegressionResults(evaluation, metrics) {
+        const resultsElement = document.getElementById('evaluationResults');
+        const percent = value => isFinite(value) ? `${value.toFixed(1)}%` : '-';
+        const row = (label, m) => `
+            <tr>
+                <td>${label}</td>
+                <td>${this.formatStreams(m.mae)}</td>
+                <td>${this.formatStreams(m.rmse)}</td>
+                <td>${percent(m.mape)}</td>
+                <td>${percent(m.smape)}</td>
+            </tr>
+        `;
+        const header = first => `<tr><th>${first}</th><th>MAE</th><th>RMSE</th><th>MAPE</th><th>sMAPE</th></tr>`;
+
+        const trackRows = Array.from(metrics.tracks.entries())
+            .sort((a, b) => a[1].smape - b[1].smape)
+            .map(([trackId, m]) => row(escapeHTML(this.dataLoader.trackMetadata.get(trackId)?.name || trackId), m))
+            .join('');
+        const performanceClass = metrics.overall.smape <= 10 ? 'high-performance' :
+            metrics.overall.smape <= 25 ? 'medium-performance' : 'low-performance';
+
+        resultsElement.innerHTML = `
+            <div class="evaluation-summary ${performanceClass}">
+                <h4>📈 Stream Forecast Performance (${TASK_LABELS[this.dataLoader.task]} target)</h4>
+                <div class="performance-metrics">
+                    <div class="metric">
+                        <label>Final Loss (MSE):</label>
+                        <span class="metric-value">${evaluation.loss.toFixed(4)}</span>
+                    </div>
+                    <div class="metric">
+                        <label>MAE (streams):</label>
+                        <span class="metric-value highlight">${this.formatStreams(metrics.overall.mae)}</span>
+                    </div>
+                    <div class="metric">
+                        <label>RMSE (streams):</label>
+                        <span class="metric-value">${this.formatStreams(metrics.overall.rmse)}</span>
+                    </div>
+                    <div class="metric">
+                        <label>MAPE / sMAPE:</label>
+                        <span class="metric-value">${percent(metrics.overall.mape)} / ${percent(metrics.overall.smape)}</span>
+                    </div>
+                </div>
+            </div>
+            <div class="baseline-comparison">
+                <h4>📅 Error by Day Ahead</h4>
+                <table class="baseline-table">
+                    <thead>${header('Day')}</thead>
+                    <tbody>
+                        ${metrics.days.map((m, day) => row(`D+${day + 1}`, m)).join('')}
+                    </tbody>
+                </table>
+                <h4>🎵 Track-Specific Error</h4>
+                <table class="baseline-table">
+                    <thead>${header('Track')}</thead>
+                    <tbody>
+                        ${trackRows}
+                    </tbody>
+                </table>
+                <p><small>Errors are on de-normalized stream counts over ${metrics.overall.count} test predictions.
+                Baselines, feature importance and breakout detection score up/down calls and apply to the direction target only.</small></p>
+            </div>
+        `;
+    }
+
+    readCoMovementConfig() {
+        const maxLagInput = document.getElementById('coMovementMaxLag');
+        const minCorrelationInput = document.getElementById('coMovementMinCorrelation');
+        const maxLag = maxLagInput && maxLagInput.value ? parseInt(maxLagInput.value, 10) : 7;
+        const minCorrelation = minCorrelationInput && minCorrelationInput.value ? parseFloat(minCorrelationInput.value) : 0.5;
+        if (!Number.isInteger(maxLag) || maxLag < 1) {
+            throw new Error(`Max lead/lag must be a positive whole number of days, got ${maxLagInput.value}`);
+        }
+        if (!Number.isFinite(minCorrelation) || minCorrelation < -1 || minCorrelation > 1) {
+            throw new Error(`Cluster correlation must be between -1 and 1, got ${minCorrelationInput.value}`);
+        }
+        return { maxLag, minCorrelation };
+    }
+
+    // Works on the raw CSV rows, so it needs loaded data but no model
+    runCoMovementAnalysis() {
+        if (!this.trainingData) {
+            this.showNotification('No data available. Please load a CSV file first.', 'warning');
+            return;
+        }
+
+        try {
+            const config = this.readCoMovementConfig();
+            const analysis = this.dataLoader.computeCoMovement(config);
+            this.displayCoMovement(analysis, config);
+            this.createLeadLagChart(analysis);
+            this.showNotification(`Co-movement of ${analysis.tracks.length} tracks: ${analysis.clusters.length} cluster(s)`, 'success');
+        } catch (error) {
+            this.showNotification('Co-movement error: ' + error.message, 'error');
+            console.error('Co-movement error:', error);
+        }
+    }
+
+    displayCoMovement(analysis, config) {
+        const element = document.getElementById('coMovementResults');
+        if (!element) return;
+
+        const name = trackId => escapeHTML(this.dataLoader.trackMetadata.get(trackId)?.name || trackId);
+        const fixed = value => Number.isFinite(value) ? value.toFixed(2) : '-';
+        // Red for positive, blue for negative correlation, stronger as |r| grows
+        const cellColor = value => !Number.isFinite(value) ? 'transparent' :
+            value >= 0 ? `rgba(255, 99, 132, ${Math.abs(value).toFixed(2)})` : `rgba(54, 162, 235, ${Math.abs(value).toFixed(2)})`;
+
+        const heatmapHTML = analysis.tracks.map((trackId, i) => `
+            <tr>
+                <th>${name(trackId)}</th>
+                ${analysis.correlation[i].map(value => `<td style="background: ${cellColor(value)}">${fixed(value)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        const strongest = [...analysis.leadLag]
+            .filter(pair => Number.isFinite(pair.bestCorrelation))
+            .sort((a, b) => Math.abs(b.bestCorrelation) - Math.abs(a.bestCorrelation))
+            .slice(0, 10);
+        const leadLagHTML = strongest.map(pair => {
+            const sameDay = pair.lags.find(l => l.lag === 0).correlation;
+            let reading = 'move on the same day';
+            if (pair.bestLag > 0) {
+                reading = `${name(pair.a)} leads by ${pair.bestLag} day${pair.bestLag > 1 ? 's' : ''}`;
+            } else if (pair.bestLag < 0) {
+                reading = `${name(pair.b)} leads by ${-pair.bestLag} day${pair.bestLag < -1 ? 's' : ''}`;
+            }
+            return `
+                <tr>
+                    <td>${name(pair.a)} ↔ ${name(pair.b)}</td>
+                    <td>${fixed(sameDay)}</td>
+                    <td>${fixed(pair.bestCorrelation)}</td>
+                    <td>${reading}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const clustersHTML = analysis.clusters.map((cluster, i) => `
+            <li><strong>${cluster.length > 1 ? `Cluster ${i + 1}` : 'On its own'}:</strong> ${cluster.map(name).join(', ')}</li>
+        `).join('');
+
+        element.innerHTML = `
+            <h4>🔥 Same-day correlation of daily stream changes</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th></th>${analysis.tracks.map(trackId => `<th>${name(trackId)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${heatmapHTML}
+                </tbody>
+            </table>
+            <h4>⏱️ Lead/lag (strongest pairs, up to ±${config.maxLag} days)</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Pair</th><th>Same day</th><th>Best lag</th><th>Reading</th></tr>
+                </thead>
+                <tbody>
+                    ${leadLagHTML || '<tr><td colspan="4">Not enough overlapping observed days</td></tr>'}
+                </tbody>
+            </table>
+            <h4>🧩 Tracks that move alike (average correlation ≥ ${config.minCorrelation})</h4>
+            <ul>${clustersHTML}</ul>
+            <p><small>Daily change is the log ratio of consecutive observed days; imputed days are left out.</small></p>
+        `;
+    }
+
+    // Cross-correlation by lag for the three most strongly linked pairs
+    createLeadLagChart(analysis) {
+        const canvas = document.getElementById('leadLagChart');
+        if (!canvas) return;
+
+        if (this.charts.leadLagChart) this.charts.leadLagChart.destroy();
+
+        const name = trackId => this.dataLoader.trackMetadata.get(trackId)?.name || trackId;
+        const colors = ['rgb(255, 99, 132)', 'rgb(54, 162, 235)', 'rgb(75, 192, 192)'];
+        const pairs = [...analysis.leadLag]
+            .filter(pair => Number.isFinite(pair.bestCorrelation))
+            .sort((a, b) => Math.abs(b.bestCorrelation) - Math.abs(a.bestCorrelation))
+            .slice(0, colors.length);
+
+        this.charts.leadLagChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: pairs.map((pair, i) => ({
+                    label: `${name(pair.a)} → ${name(pair.b)}`,
+                    borderColor: colors[i],
+                    data: pair.lags
+                        .filter(l => Number.isFinite(l.correlation))
+                        .map(l => ({ x: l.lag, y: l.correlation })),
+                    tension: 0.3,
+                    fill: false
+                }))
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: 'Cross-correlation by Lag (positive: first track moves earlier)' }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Lag (days)' }
+                    },
+                    y: {
+                        min: -1,
+                        max: 1,
+                        title: { display: true, text: 'Correlation' }
+                    }
+                }
+            }
+        });
+    }
+
+    readBacktestConfig() {
+        const value = (id, fallback) => {
+            const input = document.getElementById(id);
+            return input && input.value ? input.value : fallback;
+        };
+
+        return {
+            mode: value('backtestMode', 'expanding'),
+            stepDays: parseInt(value('backtestStep', this.dataLoader.horizon), 10),
+            epochs: parseInt(value('backtestEpochs', 30), 10)
+        };
+    }
+
+    // Walk-forward evaluation: a fresh model per fold, trained only on dates
+    // before the fold's test range, then scored on the next step of windows
+    async runBacktest() {
+        if (this.isTraining) {
+            this.showNotification('Training already in progress', 'warning');
+            return;
+        }
+        if (!this.trainingData) {
+            this.showNotification('No data available. Please load a CSV file first.', 'warning');
+            return;
+        }
+        if (this.dataLoader.isRegression()) {
+            this.showNotification('Backtests score direction accuracy; switch the target to direction (up/down) to run one', 'warning');
+            return;
+        }
+
+        const trainingButtons = ['trainModel', 'advancedTrain', 'fineTuneModel', 'runBacktest', 'runSearch'];
+        const results = [];
+
+        try {
+            const config = this.readBacktestConfig();
+            const folds = this.dataLoader.createBacktestFolds(config);
+            if (folds.length === 0) {
+                throw new Error('Not enough dates for a backtest: need more dates than the initial training range plus the horizon');
+            }
+
+            this.isTraining = true;
+            trainingButtons.forEach(id => { document.getElementById(id).disabled = true; });
+
+            for (const fold of folds) {
+                this.showLoading(`Backtesting fold ${fold.index + 1} of ${folds.length}...`);
+                results.push(await this.runBacktestFold(fold, config));
+            }
+
+            this.hideLoading();
+            this.displayBacktestResults(results, config);
+            this.createBacktestChart(results);
+
+            const scored = results.filter(r => !r.skipped);
+            if (scored.length === 0) {
+                this.showNotification('Backtest finished, but no fold had enough windows to score', 'warning');
+            } else {
+                const meanAccuracy = scored.reduce((sum, r) => sum + r.accuracy, 0) / scored.length;
+                this.showNotification(`Backtest finished: ${scored.length} fold(s), mean accuracy ${meanAccuracy.toFixed(1)}%`, 'success');
+            }
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Backtest error: ' + error.message, 'error');
+            console.error('Backtest error:', error);
+        } finally {
+            // Folds refit the scaling and mean imputation on their own dates; put back the main split's
+            this.dataLoader.normalizeFeatures();
+            this.isTraining = false;
+            trainingButtons.forEach(id => { document.getElementById(id).disabled = false; });
+        }
+    }
+
+    async runBacktestFold(fold, config) {
+        const foldData = this.dataLoader.createFoldData(fold);
+        const empty = ['train', 'validation', 'test'].filter(split => foldData[split].samples.length === 0);
+        if (empty.length > 0) {
+            return { fold, dates: foldData.dates, skipped: `no ${empty.join(', ')} windows` };
+        }
+
+        const tensors = {
+            X_train: tf.tensor3d(foldData.train.samples),
+            y_train: tf.tensor2d(foldData.train.targets),
+            X_val: tf.tensor3d(foldData.validation.samples),
+            y_val: tf.tensor2d(foldData.validation.targets),
+            X_test: tf.tensor3d(foldData.test.samples),
+            y_test: tf.tensor2d(foldData.test.targets)
+        };
+        const foldModel = this.createModel();
+        let predictions = null;
+
+        try {
+            await foldModel.fit(tensors.X_train, tensors.y_train, tensors.X_val, tensors.y_val,
+                config.epochs, foldModel.hyperparameters.batchSize,
+                { emitProgress: false, schedule: this.readLRSchedule() });
+
+            const evaluation = await foldModel.evaluate(tensors.X_test, tensors.y_test);
+            predictions = await foldModel.predictWithUncertainty(tensors.X_test, 3);
+            const accuracy = await foldModel.computeConsistentAccuracy(predictions, tensors.y_test);
+            const analysis = foldModel.computeTrackSpecificAccuracy(
+                predictions, tensors.y_test, this.dataLoader.trackMetadata, this.dataLoader.horizon
+            );
+
+            return {
+                fold,
+                dates: foldData.dates,
+                trainSamples: foldData.train.samples.length,
+                testSamples: foldData.test.samples.length,
+                loss: evaluation.loss,
+                accuracy,
+                trackAccuracies: analysis.trackAccuracies,
+                dayAccuracies: analysis.dayAccuracies
+            };
+        } finally {
+            if (predictions) predictions.dispose();
+            foldModel.dispose();
+            Object.values(tensors).forEach(t => t.dispose());
+        }
+    }
+
+    displayBacktestResults(results, config) {
+        const element = document.getElementById('backtestResults');
+        if (!element) return;
+
+        const foldRowsHTML = results.map(result => `
+            <tr>
+                <td>${result.fold.index + 1}</td>
+                <td>${escapeHTML(result.dates.trainStart)} → ${escapeHTML(result.dates.trainEnd)}</td>
+                <td>${escapeHTML(result.dates.testStart)} → ${escapeHTML(result.dates.testEnd)}</td>
+                ${result.skipped ?
+                    `<td colspan="3"><em>Skipped: ${result.skipped}</em></td>` :
+                    `<td>${result.testSamples}</td>
+                     <td>${result.loss.toFixed(4)}</td>
+                     <td>${result.accuracy.toFixed(1)}%</td>`}
+            </tr>
+        `).join('');
+
+        // Per-track accuracy across the folds that could be scored
+        const scored = results.filter(r => !r.skipped);
+        const trackRowsHTML = this.dataLoader.selectedTracks.map(trackId => {
+            const accuracies = scored.map(r => r.trackAccuracies.get(trackId).accuracy);
+            const name = escapeHTML(this.dataLoader.trackMetadata.get(trackId)?.name || trackId);
+            if (accuracies.length === 0) {
+                return `<tr><td>${name}</td><td colspan="3">-</td></tr>`;
+            }
+            const mean = accuracies.reduce((sum, a) => sum + a, 0) / accuracies.length;
+            return `
+                <tr class="${mean >= 70 ? 'high-accuracy' : mean >= 60 ? 'medium-accuracy' : 'low-accuracy'}">
+                    <td>${name}</td>
+                    <td>${mean.toFixed(1)}%</td>
+                    <td>${Math.min(...accuracies).toFixed(1)}%</td>
+                    <td>${Math.max(...accuracies).toFixed(1)}%</td>
+                </tr>
+            `;
+        }).join('');
+
+        element.innerHTML = `
+            <h4>📅 Walk-forward Backtest (${config.mode}, step ${config.stepDays} day${config.stepDays > 1 ? 's' : ''}, ${config.epochs} epochs/fold)</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Fold</th><th>Train dates</th><th>Test dates</th><th>Test windows</th><th>Loss</th><th>Accuracy</th></tr>
+                </thead>
+                <tbody>
+                    ${foldRowsHTML}
+                </tbody>
+            </table>
+            <h4>🎵 Per-track accuracy across folds</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Track</th><th>Mean</th><th>Worst fold</th><th>Best fold</th></tr>
+                </thead>
+                <tbody>
+                    ${trackRowsHTML}
+                </tbody>
+            </table>
+        `;
+    }
+
+    createBacktestChart(results) {
+        const canvas = document.getElementById('backtestChart');
+        if (!canvas) return;
+
+        if (this.charts.backtestChart) this.charts.backtestChart.destroy();
+
+        const scored = results.filter(r => !r.skipped);
+
+        this.charts.backtestChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: scored.map(r => r.dates.testStart),
+                datasets: [
+                    {
+                        label: 'Accuracy (%)',
+                        borderColor: 'rgb(75, 192, 192)',
+                        backgroundColor: 'rgba(75, 192, 192, 0.1)',
+                        data: scored.map(r => r.accuracy),
+                        yAxisID: 'y',
+                        tension: 0.3
+                    },
+                    {
+                        label: 'Loss',
+                        borderColor: 'rgb(255, 99, 132)',
+                        backgroundColor: 'rgba(255, 99, 132, 0.1)',
+                        data: scored.map(r => r.loss),
+                        yAxisID: 'yLoss',
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: 'Walk-forward Accuracy & Loss by Fold' }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: 'First test date' }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: { display: true, text: 'Accuracy (%)' }
+                    },
+                    yLoss: {
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'Loss' }
+                    }
+                }
+            }
+        });
+    }
+
+    // Search ranges are comma-separated lists. Grid search takes every
+    // combination of the listed values; random search draws units, batch
+    // size and patience from their lists and samples dropout uniformly and
+    // L2 / learning rate log-uniformly between each list's min and max
+    readSearchConfig() {
+        const value = (id, fallback) => {
+            const input = document.getElementById(id);
+            return input && input.value ? input.value : fallback;
+        };
+        const list = (id, fallback) => value(id, fallback)
+            .split(',')
+            .map(v => parseFloat(v))
+            .filter(v => Number.isFinite(v));
+
+        const space = {
+            units: list('searchUnits', '32,64,128').map(v => Math.round(v)).filter(v => v > 0),
+            dropout: list('searchDropout', '0.1,0.5').filter(v => v >= 0 && v < 1),
+            l2: list('searchL2', '0.0001,0.01').filter(v => v >= 0),
+            learningRate: list('searchLearningRate', '0.0003,0.003').filter(v => v > 0),
+            batchSize: list('searchBatchSize', '16,32,64').map(v => Math.round(v)).filter(v => v > 0),
+            patience: list('searchPatience', '5,10').map(v => Math.round(v)).filter(v => v > 0)
+        };
+        const empty = Object.keys(space).filter(key => space[key].length === 0);
+        if (empty.length > 0) {
+            throw new Error(`No valid values for: ${empty.join(', ')}`);
+        }
+
+        return {
+            mode: value('searchMode', 'random'),
+            trials: parseInt(value('searchTrials', 8), 10),
+            epochs: parseInt(value('searchEpochs', 20), 10),
+            space
+        };
+    }
+
+    buildSearchTrials(config) {
+        const { space } = config;
+        const keys = Object.keys(space);
+
+        if (config.mode === 'grid') {
+            let combinations = [{}];
+            keys.forEach(key => {
+                combinations = combinations.flatMap(partial =>
+                    space[key].map(v => ({ ...partial, [key]: v })));
+            });
+            if (combinations.length > 100) {
+                throw new Error(`Grid has ${combinations.length} combinations; narrow the lists to 100 or fewer`);
+            }
+            return combinations;
+        }
+
+        const pick = values => values[Math.floor(Math.random() * values.length)];
+        const uniform = values => {
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            return min + Math.random() * (max - min);
+        };
+        const logUniform = values => {
+            const positive = values.filter(v => v > 0);
+            // Log scale needs a positive range; a 0 in the list (e.g. no L2) stays a possible pick
+            if (positive.length === 0 || (positive.length < values.length && Math.random() < 0.5)) {
+                return 0;
+            }
+            const min = Math.min(...positive);
+            const max = Math.max(...positive);
+            return Math.exp(Math.log(min) + Math.random() * (Math.log(max) - Math.log(min)));
+        };
+
+        return Array.from({ length: Math.max(1, config.trials) }, () => ({
+            units: pick(space.units),
+            dropout: uniform(space.dropout),
+            l2: logUniform(space.l2),
+            learningRate: logUniform(space.learningRate),
+            batchSize: pick(space.batchSize),
+            patience: pick(space.patience)
+        }));
+    }
+
+    // Each trial trains a fresh model of the selected architecture and is
+    // scored on the validation split only; the test split stays untouched
+    async runHyperparameterSearch() {
+        if (this.isTraining) {
+            this.showNotification('Training already in progress', 'warning');
+            return;
+        }
+        if (!this.trainingData) {
+            this.showNotification('No data available. Please load a CSV file first.', 'warning');
+            return;
+        }
+
+        const trainingButtons = ['trainModel', 'advancedTrain', 'fineTuneModel', 'runBacktest', 'runSearch'];
+
+        try {
+            const config = this.readSearchConfig();
+            const trials = this.buildSearchTrials(config);
+            const architecture = this.readArchitecture();
+            const data = this.trainingData;
+
+            this.isTraining = true;
+            trainingButtons.forEach(id => { document.getElementById(id).disabled = true; });
+            this.searchResults = [];
+
+            for (let i = 0; i < trials.length; i++) {
+                this.showLoading(`Search trial ${i + 1} of ${trials.length}...`);
+                const trialModel = this.createModel(trials[i], architecture);
+                try {
+                    const history = await trialModel.fit(data.X_train, data.y_train, data.X_val, data.y_val,
+                        config.epochs, trialModel.hyperparameters.batchSize,
+                        { emitProgress: false, schedule: this.readLRSchedule() });
+                    // A NaN epoch (e.g. a learning rate that diverged) cannot be the best one
+                    const bestEpoch = history.val_loss.reduce((best, loss, epoch) =>
+                        Number.isFinite(loss) && (best === -1 || loss < history.val_loss[best]) ? epoch : best, -1);
+                    if (bestEpoch === -1) {
+                        this.searchResults.push({
+                            trial: i + 1,
+                            hyperparameters: trialModel.hyperparameters,
+                            failed: true,
+                            valLoss: Infinity,
+                            epochsRun: history.val_loss.length
+                        });
+                        continue;
+                    }
+                    this.searchResults.push({
+                        trial: i + 1,
+                        hyperparameters: trialModel.hyperparameters,
+                        valLoss: history.val_loss[bestEpoch],
+                        ...(trialModel.isRegression() ?
+                            { valMae: history.val_mae[bestEpoch] } :
+                            { valAccuracy: history.val_accuracy[bestEpoch] * 100 }),
+                        bestEpoch: bestEpoch + 1,
+                        epochsRun: history.val_loss.length
+                    });
+                } finally {
+                    trialModel.dispose();
+                    this.displaySearchLeaderboard(config, architecture);
+                }
+            }
+
+            this.hideLoading();
+            const best = this.bestSearchResult();
+            const failed = this.searchResults.filter(result => result.failed).length;
+            const failedNote = failed > 0 ? `; ${failed} trial(s) diverged` : '';
+            if (best) {
+                this.showNotification(`Search finished: best val loss ${best.valLoss.toFixed(4)} (trial ${best.trial})${failedNote}`,
+                    failed > 0 ? 'warning' : 'success');
+            } else {
+                this.showNotification('Search finished, but every trial diverged. Try a lower learning rate range.', 'error');
+            }
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Search error: ' + error.message, 'error');
+            console.error('Search error:', error);
+        } finally {
+            this.isTraining = false;
+            trainingButtons.forEach(id => { document.getElementById(id).disabled = false; });
+        }
+    }
+
+    // Lowest-val-loss trial that did not diverge, or null
+    bestSearchResult() {
+        const finished = (this.searchResults || []).filter(result => !result.failed);
+        return finished.length > 0 ? finished.reduce((a, b) => (b.valLoss < a.valLoss ? b : a)) : null;
+    }
+
+    displaySearchLeaderboard(config, architecture) {
+        const element = document.getElementById('searchResults');
+        if (!element) return;
+
+        // Diverged trials have an Infinity val loss, so they sort last
+        const ranked = [...this.searchResults].sort((a, b) => a.valLoss - b.valLoss);
+        const rowsHTML = ranked.map((result, rank) => {
+            const hp = result.hyperparameters;
+            const scoreCells = result.failed ?
+                `<td colspan="2">diverged (NaN loss)</td><td>- / ${result.epochsRun}</td>` :
+                `<td>${result.valLoss.toFixed(4)}</td>
+                    <td>${this.formatRunScore(result, 'val')}</td>
+                    <td>${result.bestEpoch} / ${result.epochsRun}</td>`;
+            return `
+                <tr class="${rank === 0 && !result.failed ? 'high-accuracy' : ''}">
+                    <td>${rank + 1}</td>
+                    <td>${result.trial}</td>
+                    <td>${hp.units}</td>
+                    <td>${hp.dropout.toFixed(2)}</td>
+                    <td>${hp.l2.toExponential(1)}</td>
+                    <td>${hp.learningRate.toExponential(1)}</td>
+                    <td>${hp.batchSize}</td>
+                    <td>${hp.patience}</td>
+                    ${scoreCells}
+                </tr>
+            `;
+        }).join('');
+
+        element.innerHTML = `
+            <h4>🔬 ${config.mode === 'grid' ? 'Grid' : 'Random'} search, ${MODEL_ARCHITECTURES[architecture].label}, up to ${config.epochs} epochs/trial</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Rank</th><th>Trial</th><th>Units</th><th>Dropout</th><th>L2</th><th>LR</th><th>Batch</th><th>Patience</th><th>Val loss</th><th>Val ${this.dataLoader.isRegression() ? 'MAE' : 'accuracy'}</th><th>Best epoch</th></tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Makes the lowest-val-loss trial the active configuration: the current
+    // model is replaced by an unbuilt one, so the next Train uses it
+    promoteBestSearchConfig() {
+        if (!this.searchResults || this.searchResults.length === 0) {
+            this.showNotification('Run a hyperparameter search first', 'warning');
+            return;
+        }
+        if (this.isTraining) {
+            this.showNotification('Cannot change the model while training is in progress', 'warning');
+            return;
+        }
+        const best = this.bestSearchResult();
+        if (!best) {
+            this.showNotification('Every search trial diverged; there is no config to promote', 'warning');
+            return;
+        }
+
+        this.hyperparameters = { ...best.hyperparameters };
+        this.resetModel();
+        this.showNotification(`Promoted trial ${best.trial}; train to fit the active model with it`, 'success');
+    }
+
+    // Predicts the days after the last CSV date from the final window of data
+    async runForecast(numSamples = 30) {
+        let inputTensor = null;
+        let stats = null;
+
+        try {
+            if (!this.trainingData) {
+                throw new Error('No data available. Please load a CSV file first.');
+            }
+            if (!this.model.model) {
+                throw new Error('No model available. Train or load a model first.');
+            }
+            const mismatch = this.checkModelCompatibility();
+            if (mismatch) {
+                throw new Error(`Current model does not fit this data: ${mismatch}`);
+            }
+
+            this.showLoading('Forecasting the next days from the latest window...');
+
+            const { sample, lastDate } = this.dataLoader.createForecastWindow();
+            inputTensor = tf.tensor3d([sample]);
+
+            stats = await this.model.predictWithUncertainty(inputTensor, numSamples, true);
+            const [mean] = await stats.mean.array();
+            const [std] = await stats.std.array();
+            const [q05] = await stats.quantiles[0.05].array();
+            const [median] = await stats.quantiles[0.5].array();
+            const [q95] = await stats.quantiles[0.95].array();
+
+            const tracks = this.dataLoader.selectedTracks;
+            const horizon = this.dataLoader.horizon;
+            const reference = this.dataLoader.isRegression() ?
+                this.dataLoader.getReferenceStreams(lastDate, { includeImputed: true }) : null;
+            const forecast = tracks.map((trackId, trackIdx) => ({
+                trackId,
+                trackName: this.dataLoader.trackMetadata.get(trackId)?.name || trackId,
+                days: Array.from({ length: horizon }, (_, day) => {
+                    const idx = trackIdx * horizon + day;
+                    if (reference) {
+                        // Quantiles map through the (monotonic) inverse, so the
+                        // band stays asymmetric for log-returns
+                        const toStreams = value => this.dataLoader.toStreamCount(value, trackId, reference[trackIdx]);
+                        return {
+                            streams: toStreams(mean[idx]),
+                            median: toStreams(median[idx]),
+                            std: std[idx],
+                            lower: toStreams(q05[idx]),
+                            upper: toStreams(q95[idx])
+                        };
+                    }
+                    return {
+                        probability: mean[idx],
+                        median: median[idx],
+                        std: std[idx],
+                        lower: q05[idx],
+                        upper: q95[idx]
+                    };
+                })
+            }));
+
+            this.hideLoading();
+            this.displayForecast(forecast, lastDate, horizon, numSamples);
+            this.showNotification(`Forecast ready for ${horizon} days after ${lastDate}`, 'success');
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Forecast error: ' + error.message, 'error');
+            console.error('Forecast error:', error);
+        } finally {
+            if (inputTensor) inputTensor.dispose();
+            if (stats) tf.dispose(stats);
+        }
+    }
+
+    displayForecast(forecast, lastDate, horizon, numSamples) {
+        const element = document.getElementById('forecastResults');
+        if (!element) return;
+
+        const dayLabel = (offset) => {
+            const date = new Date(lastDate);
+            if (isNaN(date.getTime())) return `D+${offset}`;
+            date.setUTCDate(date.getUTCDate() + offset);
+            return `D+${offset}<br><small>${date.toISOString().slice(0, 10)}</small>`;
+        };
+
+        const headerHTML = Array.from({ length: horizon }, (_, day) => `<th>${dayLabel(day + 1)}</th>`).join('');
+
+        if (this.dataLoader.isRegression()) {
+            const streamRowsHTML = forecast.map(track => `
+                <tr>
+                    <td class="track-name">${escapeHTML(track.trackName)}</td>
+                    ${track.days.map(day => `
+                        <td>
+                            <strong>${this.formatStreams(day.streams)}</strong><br>
+                            <small>${this.formatStreams(day.lower)}–${this.formatStreams(day.upper)}</small>
+                        </td>
+                    `).join('')}
+                </tr>
+            `).join('');
+
+            element.innerHTML = `
+                <h4>🔮 Forecast after ${escapeHTML(lastDate)}</h4>
+                <p><small>Predicted daily streams (${TASK_LABELS[this.dataLoader.task]} target), with the 5–95% interval over ${numSamples} MC dropout samples</small></p>
+                <table class="forecast-table">
+                    <thead>
+                        <tr><th>Track</th>${headerHTML}</tr>
+                    </thead>
+                    <tbody>
+                        ${streamRowsHTML}
+                    </tbody>
+                </table>
+            `;
+            return;
+        }
+
+        const rowsHTML = forecast.map(track => `
+            <tr>
+                <td class="track-name">${escapeHTML(track.trackName)}</td>
+                ${track.days.map(day => {
+                    const level = day.lower > 0.5 ? 'high-accuracy' : day.upper < 0.5 ? 'low-accuracy' : 'medium-accuracy';
+                    return `
+                        <td class="${level}">
+                            <strong>${(day.probability * 100).toFixed(1)}%</strong><br>
+                            <small>${(day.lower * 100).toFixed(0)}–${(day.upper * 100).toFixed(0)}%</small>
+                        </td>
+                    `;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        element.innerHTML = `
+            <h4>🔮 Forecast after ${escapeHTML(lastDate)}</h4>
+            <p><small>${this.model.calibrator ? 'Calibrated probability' : 'Probability'} of stream growth vs. ${escapeHTML(lastDate)}, with the 5–95% interval over ${numSamples} MC dropout samples</small></p>
+            <table class="forecast-table">
+                <thead>
+                    <tr><th>Track</th>${headerHTML}</tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Fits the selected calibration on the validation split, then shows
+    // reliability and ECE for the raw and calibrated model on the test split
+    async calibrateModel() {
+        if (this.isTraining) {
+            this.showNotification('Cannot calibrate while training is in progress', 'warning');
+            return;
+        }
+        if (!this.trainingData || !this.model.model) {
+            this.showNotification('Load data and train or load a model first', 'warning');
+            return;
+        }
+        if (this.dataLoader.isRegression()) {
+            this.showNotification('Calibration applies to direction (up/down) probabilities only', 'warning');
+            return;
+        }
+        const mismatch = this.checkModelCompatibility();
+        if (mismatch) {
+            this.showNotification(`Current model does not fit this data: ${mismatch}`, 'error');
+            return;
+        }
+
+        try {
+            this.showLoading('Calibrating probabilities on the validation split...');
+            const { X_val, y_val, X_test, y_test } = this.trainingData;
+            const methodInput = document.getElementById('calibrationMethod');
+            const method = methodInput && methodInput.value ? methodInput.value : 'temperature';
+
+            const validation = await this.model.calibrate(X_val, y_val, method);
+            // Cached test probabilities predate the calibrator
+            this.clearEvaluation();
+            const testRaw = await this.model.computeReliability(X_test, y_test, 5, { calibrated: false });
+            const testCalibrated = await this.model.computeReliability(X_test, y_test, 5);
+
+            this.hideLoading();
+            this.displayCalibrationResults(validation, testRaw, testCalibrated);
+            this.createReliabilityChart(testRaw, testCalibrated);
+            this.showNotification(`Calibrated with ${this.model.calibrator.describe()}: test ECE ` +
+                `${(testRaw.ece * 100).toFixed(1)}% → ${(testCalibrated.ece * 100).toFixed(1)}%`, 'success');
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Calibration error: ' + error.message, 'error');
+            console.error('Calibration error:', error);
+        }
+    }
+
+    displayCalibrationResults(validation, testRaw, testCalibrated) {
+        const element = document.getElementById('calibrationResults');
+        if (!element) return;
+
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        const binRows = testCalibrated.bins.map((bin, i) => {
+            const raw = testRaw.bins[i];
+            const cell = b => b.count > 0 ? `${percent(b.observedRate)} <small>(n=${b.count})</small>` : '-';
+            return `
+                <tr>
+                    <td>${percent(bin.lower)}–${percent(bin.upper)}</td>
+                    <td>${cell(raw)}</td>
+                    <td>${cell(bin)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        element.innerHTML = `
+            <h4>🎯 ${this.model.calibrator.describe()}</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Expected calibration error</th><th>Raw</th><th>Calibrated</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>Validation (fitted on, every dropout sample)</td><td>${percent(validation.before.ece)}</td><td>${percent(validation.after.ece)}</td></tr>
+                    <tr><td>Test (MC dropout mean)</td><td>${percent(testRaw.ece)}</td><td>${percent(testCalibrated.ece)}</td></tr>
+                </tbody>
+            </table>
+            <h4>Observed growth rate by predicted probability (test)</h4>
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Predicted</th><th>Raw</th><th>Calibrated</th></tr>
+                </thead>
+                <tbody>
+                    ${binRows}
+                </tbody>
+            </table>
+            <p><small>Evaluation and forecasts now use the calibrated probabilities. Retraining clears the calibration.</small></p>
+        `;
+    }
+
+    createReliabilityChart(raw, calibrated) {
+        const canvas = document.getElementById('reliabilityChart');
+        if (!canvas) return;
+
+        if (this.charts.reliabilityChart) this.charts.reliabilityChart.destroy();
+
+        const points = reliability => reliability.bins
+            .filter(bin => bin.count > 0)
+            .map(bin => ({ x: bin.meanPredicted, y: bin.observedRate }));
+
+        this.charts.reliabilityChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Perfect calibration',
+                        borderColor: 'rgb(201, 203, 207)',
+                        borderDash: [5, 5],
+                        data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+                        pointRadius: 0,
+                        fill: false
+                    },
+                    {
+                        label: `Raw (ECE ${(raw.ece * 100).toFixed(1)}%)`,
+                        borderColor: 'rgb(255, 99, 132)',
+                        data: points(raw),
+                        fill: false
+                    },
+                    {
+                        label: `Calibrated (ECE ${(calibrated.ece * 100).toFixed(1)}%)`,
+                        borderColor: 'rgb(75, 192, 192)',
+                        data: points(calibrated),
+                        fill: false
                     }
                 ]
             },
             options: {
                 responsive: true,
                 plugins: {
-                    title: { display: true, text: 'Training & Validation Accuracy' },
-                    tooltip: {
-                        mode: 'index',
-                        intersect: false
-                    }
+                    title: { display: true, text: 'Reliability Diagram (test set)' }
                 },
                 scales: {
                     x: {
                         type: 'linear',
-                        title: { display: true, text: 'Epoch' }
+                        min: 0,
+                        max: 1,
+                        title: { display: true, text: 'Mean predicted probability' }
                     },
                     y: {
-                        beginAtZero: true,
+                        min: 0,
                         max: 1,
-                        title: { display: true, text: 'Accuracy' }
+                        title: { display: true, text: 'Observed growth rate' }
                     }
                 }
             }
         });
     }
 
-    updateTrainingProgress(progress) {
-        if (this.charts.lossChart) {
-            this.charts.lossChart.data.datasets[0].data.push({x: progress.epoch, y: progress.loss});
-            this.charts.lossChart.data.datasets[1].data.push({x: progress.epoch, y: progress.val_loss});
-            this.charts.lossChart.update('none');
-        }
-
-        if (this.charts.accuracyChart) {
-            this.charts.accuracyChart.data.datasets[0].data.push({x: progress.epoch, y: progress.accuracy});
-            this.charts.accuracyChart.data.datasets[1].data.push({x: progress.epoch, y: progress.val_accuracy});
-            this.charts.accuracyChart.update('none');
-        }
-
-        const lrInfo = progress.learningRate ? ` | LR: ${progress.learningRate.toFixed(6)}` : '';
-        const earlyStoppingInfo = progress.earlyStopping > 0 ? 
-            ` | Early stopping: ${progress.earlyStopping}` : '';
-            
-        document.getElementById('trainingProgress').innerHTML = 
-            `Epoch: ${progress.epoch} | Loss: ${progress.loss.toFixed(4)} | Acc: ${progress.accuracy.toFixed(4)} | Val Loss: ${progress.val_loss.toFixed(4)} | Val Acc: ${progress.val_accuracy.toFixed(4)}${lrInfo}${earlyStoppingInfo}`;
-    }
-
-    async evaluateModel() {
-        try {
-            if (!this.trainingData || !this.trainingData.X_test) {
-                throw new Error('No test data available. Please load data and train model first.');
-            }
-
-            this.showLoading('Evaluating advanced model with ensemble predictions...');
-            
-            const evaluation = await this.model.evaluate(this.trainingData.X_test, this.trainingData.y_test);
-            
-            // NEW: Use ensemble prediction for better accuracy
-            const predictions = await this.model.predictWithUncertainty(this.trainingData.X_test, 3);
-            const consistentAccuracy = await this.model.computeConsistentAccuracy(predictions, this.trainingData.y_test);
-            const accuracyAnalysis = this.model.computeTrackSpecificAccuracy(
-                predictions, this.trainingData.y_test, this.trainingData.trackMetadata
-            );
-
-            const featureImportance = await this.computeFeatureImportance();
-            const breakoutTracks = this.detectBreakoutTracks(predictions, this.trainingData);
-
-            predictions.dispose();
-
-            this.displayEvaluationResults(evaluation, consistentAccuracy, accuracyAnalysis);
-            this.createAccuracyRankingChart(accuracyAnalysis.trackAccuracies);
-            this.createHitPotentialMeter(accuracyAnalysis.trackAccuracies);
-            this.createDayAccuracyChart(accuracyAnalysis.dayAccuracies);
-            
-            this.displayFeatureImportance(featureImportance);
-            this.displayBreakoutDetection(breakoutTracks);
-            
-            this.hideLoading();
-            
-            // NEW: Performance assessment
-            this.assessPerformance(consistentAccuracy, evaluation.loss);
-            
-        } catch (error) {
-            this.hideLoading();
-            this.showNotification('Evaluation error: ' + error.message, 'error');
-            console.error('Evaluation error:', error);
-        }
-    }
-
     // NEW: Performance assessment
     assessPerformance(accuracy, loss) {
         let message = '';
@@ -345,10 +2537,297 @@ class MusicPopularityApp {
         console.log(`   Status: ${type === 'success' ? '✅ GOOD' : type === 'warning' ? '⚠️ FAIR' : '❌ POOR'}`);
     }
 
-    // ... rest of the existing methods (computeFeatureImportance, detectBreakoutTracks, displayFeatureImportance, displayBreakoutDetection, etc.)
-    // These remain the same as in the previous implementation
+    // Permutation importance: shuffle one feature across test samples (for every
+    // track and timestep at once) and measure how much the loss and accuracy degrade
+    async computeFeatureImportance(numRepeats = 3) {
+        const X = this.trainingData.X_test;
+        const y = this.trainingData.y_test;
+        const featureNames = this.dataLoader.featureNames;
+        const featuresPerTrack = featureNames.length;
+        const numTracks = this.trainingData.selectedTracks.length;
+
+        const baseData = X.arraySync();
+        const numSamples = baseData.length;
+        if (numSamples < 2) return [];
+
+        const scoreInputs = async (inputs) => {
+            const inputTensor = Array.isArray(inputs) ? tf.tensor3d(inputs) : inputs;
+            const predictions = await this.model.predict(inputTensor);
+            const lossTensor = tf.metrics.binaryCrossentropy(y, predictions).mean();
+            const loss = (await lossTensor.data())[0];
+            const accuracy = await this.model.computeConsistentAccuracy(predictions, y);
+
+            lossTensor.dispose();
+            predictions.dispose();
+            if (inputTensor !== inputs) inputTensor.dispose();
+            return { loss, accuracy };
+        };
+
+        const baseline = await scoreInputs(X);
+        const importance = [];
+
+        for (let featureIdx = 0; featureIdx < featuresPerTrack; featureIdx++) {
+            let lossIncrease = 0;
+            let accuracyDrop = 0;
+
+            for (let repeat = 0; repeat < numRepeats; repeat++) {
+                const permutation = this.shuffledIndices(numSamples);
+                const permuted = baseData.map((sample, sampleIdx) =>
+                    sample.map((day, dayIdx) => {
+                        const source = baseData[permutation[sampleIdx]][dayIdx];
+                        const shuffledDay = day.slice();
+                        for (let trackIdx = 0; trackIdx < numTracks; trackIdx++) {
+                            const col = trackIdx * featuresPerTrack + featureIdx;
+                            shuffledDay[col] = source[col];
+                        }
+                        return shuffledDay;
+                    })
+                );
+
+                const score = await scoreInputs(permuted);
+                lossIncrease += score.loss - baseline.loss;
+                accuracyDrop += baseline.accuracy - score.accuracy;
+            }
+
+            importance.push({
+                feature: featureNames[featureIdx],
+                lossIncrease: lossIncrease / numRepeats,
+                accuracyDrop: accuracyDrop / numRepeats
+            });
+        }
+
+        // Express each feature as a share of the total positive loss increase
+        const totalIncrease = importance.reduce((sum, item) => sum + Math.max(0, item.lossIncrease), 0);
+        importance.forEach(item => {
+            item.relativeImportance = totalIncrease > 0 ? Math.max(0, item.lossIncrease) / totalIncrease * 100 : 0;
+        });
+
+        return importance.sort((a, b) => b.lossIncrease - a.lossIncrease);
+    }
+
+    shuffledIndices(n) {
+        const indices = Array.from({ length: n }, (_, i) => i);
+        for (let i = n - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices;
+    }
+
+    // Reference predictors scored on the same X_test/y_test as the GRU, so its
+    // accuracy can be read as lift over something simple
+    async evaluateBaselines() {
+        const { X_train, y_train, X_val, y_val, X_test, y_test } = this.trainingData;
+        const tracks = this.dataLoader.selectedTracks;
+        const horizon = this.dataLoader.horizon;
+        const featuresPerTrack = this.dataLoader.featureNames.length;
+        const numSamples = X_test.shape[0];
+
+        // Expands one up-probability per track into the track-major output layout
+        const perTrackPredictions = (probabilityFor) =>
+            Array.from({ length: numSamples }, (_, sampleIdx) =>
+                tracks.flatMap((trackId, trackIdx) =>
+                    new Array(horizon).fill(probabilityFor(sampleIdx, trackId, trackIdx))));
+
+        const baselines = [];
+
+        baselines.push({
+            name: 'Always up',
+            description: 'Predicts growth for every track and day',
+            predictions: perTrackPredictions(() => 1)
+        });
+
+        // Sign of the last day's change, read back from the normalized momentum
+        const momentumIdx = this.dataLoader.featureNames.indexOf('streams_momentum');
+        if (momentumIdx !== -1) {
+            const testData = X_test.arraySync();
+            baselines.push({
+                name: 'Last direction',
+                description: 'Repeats the direction of the most recent daily change',
+                predictions: perTrackPredictions((sampleIdx, trackId, trackIdx) => {
+                    const lastDay = testData[sampleIdx][testData[sampleIdx].length - 1];
+                    const zeroChange = this.dataLoader.normalizeFeatureValue(0, trackId, 'streams_momentum');
+                    return lastDay[trackIdx * featuresPerTrack + momentumIdx] > zeroChange ? 1 : 0;
+                })
+            });
+        }
+
+        const trainTargets = y_train.arraySync();
+        const upShare = tracks.map((_, trackIdx) => {
+            let up = 0;
+            trainTargets.forEach(row => {
+                for (let day = 0; day < horizon; day++) {
+                    if (row[trackIdx * horizon + day] > 0.5) up++;
+                }
+            });
+            return up / (trainTargets.length * horizon);
+        });
+        baselines.push({
+            name: 'Majority class',
+            description: 'Each track\'s most common training direction',
+            predictions: perTrackPredictions((sampleIdx, trackId, trackIdx) => upShare[trackIdx] >= 0.5 ? 1 : 0)
+        });
+
+        const logisticModel = tf.sequential({
+            layers: [
+                tf.layers.flatten({ inputShape: X_train.shape.slice(1) }),
+                tf.layers.dense({
+                    units: y_train.shape[1],
+                    activation: 'sigmoid',
+                    kernelRegularizer: tf.regularizers.l2({ l2: 0.001 })
+                })
+            ]
+        });
+        const logisticOptimizer = tf.train.adam(0.01);
+        logisticModel.compile({ optimizer: logisticOptimizer, loss: 'binaryCrossentropy' });
+        await logisticModel.fit(X_train, y_train, {
+            epochs: 50,
+            batchSize: 32,
+            validationData: [X_val, y_val],
+            callbacks: tf.callbacks.earlyStopping({ monitor: 'val_loss', patience: 5 }),
+            verbose: 0
+        });
+        const logisticPredictions = logisticModel.predict(X_test);
+        baselines.push({
+            name: 'Logistic regression',
+            description: 'One logistic output per track and day on the flattened window',
+            predictions: await logisticPredictions.array()
+        });
+        logisticPredictions.dispose();
+        logisticOptimizer.dispose();
+        logisticModel.dispose();
+
+        for (const baseline of baselines) {
+            const predictions = tf.tensor2d(baseline.predictions, y_test.shape);
+            baseline.accuracy = await this.model.computeConsistentAccuracy(predictions, y_test);
+            baseline.dayAccuracies = this.model.computeTrackSpecificAccuracy(
+                predictions, y_test, this.trainingData.trackMetadata, horizon
+            ).dayAccuracies;
+            predictions.dispose();
+            delete baseline.predictions;
+        }
+
+        return baselines;
+    }
+
+    // Flags tracks whose recent growth is unusual for their own history and
+    // which the model expects to keep rising over the prediction horizon
+    // MC-dropout mean for the window ending on the last CSV date (the one the
+    // forecast uses), one probability per output
+    async predictLatestWindow(numSamples = 3) {
+        const { sample } = this.dataLoader.createForecastWindow();
+        const input = tf.tensor3d([sample]);
+        try {
+            const mean = await this.model.predictWithUncertainty(input, numSamples);
+            const [latest] = await mean.array();
+            mean.dispose();
+            return latest;
+        } finally {
+            input.dispose();
+        }
+    }
+
+    // latest holds the up probabilities of one window, track-major
+    detectBreakoutTracks(latest, trainingData, zThreshold = 2) {
+        const horizon = this.dataLoader.horizon;
+        const recentDays = 3;
+
+        return trainingData.selectedTracks.map((trackId, trackIdx) => {
+            const upProbabilities = latest.slice(trackIdx * horizon, (trackIdx + 1) * horizon);
+            const upProbability = upProbabilities.length > 0 ?
+                upProbabilities.reduce((sum, p) => sum + p, 0) / upProbabilities.length : 0.5;
+
+            const growthRates = this.dataLoader.data
+                .filter(d => d.track_id === trackId)
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .map(d => d.streams_growth_rate || 0);
+
+            const history = growthRates.slice(0, -recentDays);
+            const recent = growthRates.slice(-recentDays);
+            const recentGrowth = recent.length > 0 ? recent.reduce((sum, g) => sum + g, 0) / recent.length : 0;
+
+            let zScore = 0;
+            if (history.length > 1) {
+                const mean = history.reduce((sum, g) => sum + g, 0) / history.length;
+                const variance = history.reduce((sum, g) => sum + (g - mean) ** 2, 0) / (history.length - 1);
+                const std = Math.sqrt(variance);
+                // Compare against the standard error of a recentDays-long average
+                zScore = std > 0 ? (recentGrowth - mean) / (std / Math.sqrt(recent.length)) : 0;
+            }
+
+            const anomalyScore = 1 / (1 + Math.exp(-(zScore - zThreshold)));
+            const score = 0.5 * upProbability + 0.5 * anomalyScore;
+
+            return {
+                trackId,
+                trackName: trainingData.trackMetadata.get(trackId)?.name || trackId,
+                upProbability,
+                recentGrowth,
+                zScore,
+                score,
+                isBreakout: zScore >= zThreshold && upProbability > 0.5
+            };
+        }).sort((a, b) => b.score - a.score);
+    }
+
+    displayFeatureImportance(featureImportance) {
+        const element = document.getElementById('featureImportance');
+        if (!element) return;
+
+        if (!featureImportance || featureImportance.length === 0) {
+            element.innerHTML = `
+                <h2>🔍 Feature Importance</h2>
+                <p>Not enough test samples to estimate feature importance</p>
+            `;
+            return;
+        }
+
+        const itemsHTML = featureImportance.map(item => `
+            <div class="feature-importance-item">
+                <span class="feature-name">${featureLabel(item.feature)}</span>
+                <div class="accuracy-bar-container">
+                    <div class="accuracy-bar" style="width: ${item.relativeImportance.toFixed(1)}%"></div>
+                    <span class="accuracy-text">${item.relativeImportance.toFixed(1)}%</span>
+                </div>
+                <small>Δ loss: ${item.lossIncrease.toFixed(4)} | Δ acc: ${item.accuracyDrop.toFixed(2)} pts</small>
+            </div>
+        `).join('');
+
+        element.innerHTML = `
+            <h2>🔍 Feature Importance</h2>
+            <p><small>Permutation importance on the test set (share of loss increase)</small></p>
+            ${itemsHTML}
+        `;
+    }
+
+    displayBreakoutDetection(breakoutTracks) {
+        const element = document.getElementById('breakoutDetection');
+        if (!element) return;
+
+        const breakouts = breakoutTracks.filter(t => t.isBreakout);
+        const watchlist = breakouts.length > 0 ? breakouts : breakoutTracks.slice(0, 3);
+
+        const itemsHTML = watchlist.map(track => `
+            <div class="breakout-item ${track.isBreakout ? 'breakout' : ''}">
+                <span class="track-name">${track.isBreakout ? '🚀 ' : ''}${escapeHTML(track.trackName)}</span>
+                <div class="breakout-stats">
+                    <small>Up probability: ${(track.upProbability * 100).toFixed(1)}%</small>
+                    <small>Recent growth: ${(track.recentGrowth * 100).toFixed(1)}%/day</small>
+                    <small>Anomaly z-score: ${track.zScore.toFixed(2)}</small>
+                </div>
+            </div>
+        `).join('');
+
+        element.innerHTML = `
+            <h2>🚀 Breakout Detection</h2>
+            <p>${breakouts.length > 0 ?
+                `${breakouts.length} track(s) show breakout patterns` :
+                'No breakouts detected - strongest candidates:'}</p>
+            ${itemsHTML}
+        `;
+    }
 
-    displayEvaluationResults(evaluation, consistentAccuracy, accuracyAnalysis) {
+    displayEvaluationResults(evaluation, consistentAccuracy, accuracyAnalysis, baselines = [], reliability = null) {
         const resultsElement = document.getElementById('evaluationResults');
         
         let trackAccuracyHTML = '';
@@ -359,15 +2838,14 @@ class MusicPopularityApp {
             const accuracyClass = data.accuracy >= 70 ? 'high-accuracy' : data.accuracy >= 60 ? 'medium-accuracy' : 'low-accuracy';
             trackAccuracyHTML += `
                 <div class="track-accuracy-item ${accuracyClass}">
-                    <span class="track-name">${data.trackName}</span>
+                    <span class="track-name">${escapeHTML(data.trackName)}</span>
                     <div class="accuracy-bar-container">
                         <div class="accuracy-bar" style="width: ${data.accuracy}%"></div>
                         <span class="accuracy-text">${data.accuracy.toFixed(1)}%</span>
                     </div>
                     <div class="day-accuracies">
-                        <small>D+1: ${data.dayAccuracies.day1.toFixed(1)}%</small>
-                        <small>D+2: ${data.dayAccuracies.day2.toFixed(1)}%</small>
-                        <small>D+3: ${data.dayAccuracies.day3.toFixed(1)}%</small>
+                        ${Object.entries(data.dayAccuracies).map(([day, acc]) =>
+                            `<small>D+${day.replace('day', '')}: ${acc.toFixed(1)}%</small>`).join('')}
                     </div>
                 </div>
             `;
@@ -391,8 +2869,14 @@ class MusicPopularityApp {
                         <label>Ensemble Accuracy:</label>
                         <span class="metric-value highlight">${consistentAccuracy.toFixed(2)}%</span>
                     </div>
+                    ${reliability ? `
+                    <div class="metric">
+                        <label>Calibration error (ECE${this.model.calibrator ? ', calibrated' : ''}):</label>
+                        <span class="metric-value">${(reliability.ece * 100).toFixed(2)}%</span>
+                    </div>` : ''}
                 </div>
             </div>
+            ${this.renderBaselineComparison(consistentAccuracy, accuracyAnalysis.dayAccuracies, baselines)}
             <div class="track-accuracies">
                 <h4>🎵 Track-Specific Accuracy</h4>
                 ${trackAccuracyHTML}
@@ -400,7 +2884,149 @@ class MusicPopularityApp {
         `;
     }
 
-    // ... rest of the visualization methods remain similar but with enhanced styling
+    renderBaselineComparison(gruAccuracy, gruDayAccuracies, baselines) {
+        if (!baselines || baselines.length === 0) return '';
+
+        const best = baselines.reduce((a, b) => b.accuracy > a.accuracy ? b : a);
+        const lift = gruAccuracy - best.accuracy;
+        const days = Object.keys(gruDayAccuracies);
+
+        const row = (name, description, accuracy, dayAccuracies, highlight) => `
+            <tr class="${highlight}">
+                <td><strong>${name}</strong><br><small>${description}</small></td>
+                <td>${accuracy.toFixed(1)}%</td>
+                ${days.map(day => `<td>${dayAccuracies[day].toFixed(1)}%</td>`).join('')}
+            </tr>
+        `;
+
+        return `
+            <div class="baseline-comparison">
+                <h4>📏 GRU vs. Baselines (test set)</h4>
+                <table class="baseline-table">
+                    <thead>
+                        <tr><th>Model</th><th>Accuracy</th>${days.map(day => `<th>D+${day.replace('day', '')}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${row('GRU (ensemble)', 'This model', gruAccuracy, gruDayAccuracies, 'highlight')}
+                        ${baselines.map(b => row(b.name, b.description, b.accuracy, b.dayAccuracies, b === best ? 'best-baseline' : '')).join('')}
+                    </tbody>
+                </table>
+                <p class="${lift > 0 ? 'high-accuracy' : 'low-accuracy'}">
+                    Lift over best baseline (${best.name}): <strong>${lift >= 0 ? '+' : ''}${lift.toFixed(1)} pts</strong>
+                    ${best.accuracy > 0 ? `(${lift >= 0 ? '+' : ''}${(lift / best.accuracy * 100).toFixed(1)}% relative)` : ''}
+                </p>
+            </div>
+        `;
+    }
+
+    createAccuracyRankingChart(trackAccuracies) {
+        const canvas = document.getElementById('accuracyRankingChart');
+        if (!canvas) return;
+
+        if (this.charts.accuracyRankingChart) this.charts.accuracyRankingChart.destroy();
+
+        const sorted = Array.from(trackAccuracies.values()).sort((a, b) => b.accuracy - a.accuracy);
+        const colorFor = (accuracy) => accuracy >= 70 ? 'rgba(75, 192, 192, 0.7)' :
+            accuracy >= 60 ? 'rgba(255, 206, 86, 0.7)' : 'rgba(255, 99, 132, 0.7)';
+
+        this.charts.accuracyRankingChart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: sorted.map(t => t.trackName),
+                datasets: [{
+                    label: 'Accuracy (%)',
+                    data: sorted.map(t => t.accuracy),
+                    backgroundColor: sorted.map(t => colorFor(t.accuracy))
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: 'Track Accuracy Ranking' },
+                    legend: { display: false }
+                },
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: { display: true, text: 'Accuracy (%)' }
+                    }
+                }
+            }
+        });
+    }
+
+    // Hit potential blends the predicted chance of growth with how reliable the
+    // model has been for that track: an unreliable track is pulled toward 50%
+    createHitPotentialMeter(trackAccuracies, breakoutTracks = []) {
+        const element = document.getElementById('hitPotentialMeter');
+        if (!element) return;
+
+        const outlook = new Map(breakoutTracks.map(t => [t.trackId, t]));
+
+        const potentials = Array.from(trackAccuracies.entries()).map(([trackId, data]) => {
+            const upProbability = outlook.has(trackId) ? outlook.get(trackId).upProbability : 0.5;
+            const reliability = Math.max(0, Math.min(1, (data.accuracy - 50) / 50));
+            const potential = (upProbability * reliability + 0.5 * (1 - reliability)) * 100;
+            return { trackName: data.trackName, potential, isBreakout: outlook.get(trackId)?.isBreakout };
+        }).sort((a, b) => b.potential - a.potential);
+
+        const itemsHTML = potentials.map(item => {
+            const level = item.potential >= 65 ? 'high-accuracy' : item.potential >= 50 ? 'medium-accuracy' : 'low-accuracy';
+            return `
+                <div class="track-accuracy-item ${level}">
+                    <span class="track-name">${item.isBreakout ? '🔥 ' : ''}${escapeHTML(item.trackName)}</span>
+                    <div class="accuracy-bar-container">
+                        <div class="accuracy-bar" style="width: ${item.potential.toFixed(1)}%"></div>
+                        <span class="accuracy-text">${item.potential.toFixed(1)}%</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        element.innerHTML = `
+            <h4>🎵 Hit Potential Meter</h4>
+            ${itemsHTML}
+        `;
+    }
+
+    createDayAccuracyChart(dayAccuracies) {
+        const canvas = document.getElementById('dayAccuracyChart');
+        if (!canvas) return;
+
+        if (this.charts.dayAccuracyChart) this.charts.dayAccuracyChart.destroy();
+
+        const days = Object.keys(dayAccuracies);
+
+        this.charts.dayAccuracyChart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: days.map(day => `D+${day.replace('day', '')}`),
+                datasets: [{
+                    label: 'Accuracy (%)',
+                    data: days.map(day => dayAccuracies[day]),
+                    backgroundColor: 'rgba(54, 162, 235, 0.6)',
+                    borderColor: 'rgb(54, 162, 235)',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    title: { display: true, text: 'Prediction Accuracy by Day Ahead' },
+                    legend: { display: false }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: { display: true, text: 'Accuracy (%)' }
+                    }
+                }
+            }
+        });
+    }
 
     async validateData() {
         try {
@@ -409,7 +3035,7 @@ class MusicPopularityApp {
             this.hideLoading();
             
             if (isValid) {
-                this.showNotification('Advanced data validation passed! All 9 features per track are ready.', 'success');
+                this.showNotification(`Advanced data validation passed! All ${this.dataLoader.featureNames.length} features per track are ready.`, 'success');
             } else {
                 this.showNotification('Data validation failed. Check console for details.', 'error');
             }
@@ -421,13 +3047,214 @@ class MusicPopularityApp {
 
     async saveModel() {
         try {
-            await this.model.saveModel();
-            this.showNotification('Advanced model saved successfully!', 'success');
+            const preprocessing = this.trainingData ? this.dataLoader.exportPreprocessingState() : null;
+            await this.model.saveModel(preprocessing);
+            this.showNotification(preprocessing ?
+                'Advanced model saved successfully with its preprocessing manifest!' :
+                'Model saved without preprocessing manifest - load data before saving to include scaling.',
+                preprocessing ? 'success' : 'warning');
         } catch (error) {
             this.showNotification('Error saving model: ' + error.message, 'error');
         }
     }
 
+    async loadModel() {
+        const jsonFile = document.getElementById('modelJsonFile').files[0];
+        const weightsFile = document.getElementById('modelWeightsFile').files[0];
+
+        if (!jsonFile || !weightsFile) {
+            this.showNotification('Select both model.json and weights.bin files', 'warning');
+            return;
+        }
+        if (this.isTraining) {
+            this.showNotification('Cannot load a model while training is in progress', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading('Loading saved model...');
+            const loadedModel = new GRUModel();
+            await loadedModel.loadModel(tf.io.browserFiles([jsonFile, weightsFile]));
+            const preprocessing = await this.adoptLoadedModel(loadedModel);
+
+            const mismatch = this.checkModelCompatibility();
+            if (mismatch) {
+                this.showNotification(`Model loaded, but it does not fit the current data: ${mismatch}`, 'warning');
+                return;
+            }
+
+            const status = this.trainingData ?
+                'Ready to evaluate or fine-tune.' :
+                'Load a CSV with the same layout to evaluate or fine-tune.';
+            let scaling = preprocessing ?
+                `Restored training-time scaling for ${preprocessing.selectedTracks.length} tracks.` :
+                'No preprocessing manifest found - scaling is recomputed from the CSV.';
+            if (preprocessing && this.model.isPerTrack()) {
+                scaling = `Per-track model: restored the ${preprocessing.windowSize}-day window and ${preprocessing.horizon}-day horizon; any tracks can be selected.`;
+            }
+            this.showNotification(`Model loaded (input ${this.model.inputShape.join(' × ')}). ${scaling} ${status}`,
+                preprocessing ? 'success' : 'warning');
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification('Error loading model: ' + error.message, 'error');
+            console.error('Model loading error:', error);
+        }
+    }
+
+    // Makes a freshly loaded GRUModel the active model. Its preprocessing
+    // manifest (if any) is checked against the topology and imported, and the
+    // current CSV is re-run through it. Disposes the model and throws if it
+    // cannot be used; resolves to the manifest
+    async adoptLoadedModel(loadedModel) {
+        const preprocessing = loadedModel.getPreprocessingState();
+        const perTrack = loadedModel.isPerTrack();
+        if (preprocessing) {
+            const [modelWindow, modelFeatures] = loadedModel.inputShape;
+            const manifestTracks = perTrack ? 1 : preprocessing.selectedTracks.length;
+            const manifestFeatures = manifestTracks * preprocessing.featureNames.length;
+            const manifestOutputs = manifestTracks * (preprocessing.horizon || 3);
+            if (modelWindow !== preprocessing.windowSize || modelFeatures !== manifestFeatures ||
+                loadedModel.getOutputUnits() !== manifestOutputs) {
+                loadedModel.dispose();
+                throw new Error('Preprocessing manifest does not match the model input shape');
+            }
+            try {
+                // Per-track models keep the user's track selection and scale it from the CSV
+                this.dataLoader.importPreprocessingState(preprocessing, { restoreTracks: !perTrack });
+            } catch (error) {
+                loadedModel.dispose();
+                throw error;
+            }
+        } else {
+            const mismatch = this.checkModelCompatibility(loadedModel);
+            if (mismatch) {
+                loadedModel.dispose();
+                throw new Error(mismatch);
+            }
+            this.dataLoader.clearPreprocessingState();
+        }
+
+        this.model.dispose();
+        this.model = loadedModel;
+        this.clearEvaluation();
+        this.hyperparameters = { ...loadedModel.hyperparameters };
+        // Keep the selector in step so the next Train continues this model
+        const architectureInput = document.getElementById('modelArchitecture');
+        if (architectureInput) {
+            architectureInput.value = loadedModel.architecture;
+        }
+        const taskInput = document.getElementById('predictionTask');
+        if (taskInput) {
+            taskInput.value = loadedModel.task;
+        }
+        const layoutInput = document.getElementById('modelLayout');
+        if (layoutInput) {
+            layoutInput.value = loadedModel.layout.mode;
+        }
+        const embeddingInput = document.getElementById('trackEmbeddingSize');
+        if (embeddingInput && perTrack) {
+            embeddingInput.value = loadedModel.layout.embeddingSize;
+        }
+        if (preprocessing) {
+            // Per-track models leave these to the inputs on the next CSV run;
+            // for wide models they show what the manifest pins
+            this.syncDataSettingsInputs();
+        }
+        if (preprocessing) {
+            this.renderFeatureSelection();
+        }
+        const calendarInput = document.getElementById('calendarEvents');
+        if (calendarInput && preprocessing) {
+            // Every CSV run reads the calendar, so show the one the model was trained with
+            calendarInput.value = this.dataLoader.calendarEvents
+                .map(event => event.trackId ? `${event.date} ${event.trackId}` : event.date)
+                .join('\n');
+        }
+        this.hideLoading();
+
+        // Re-run the CSV through the restored scaling and track order
+        if (preprocessing && this.currentFile) {
+            await this.handleFileUpload(this.currentFile);
+        }
+        return preprocessing;
+    }
+
+    // Writes the loader's window, horizon, imputation, scaling and target back
+    // to the Data Settings inputs, and the track list when a manifest pins it
+    syncDataSettingsInputs() {
+        const values = {
+            windowSize: this.dataLoader.windowSize,
+            horizon: this.dataLoader.horizon,
+            imputationStrategy: this.dataLoader.imputation,
+            normalizationMethod: this.dataLoader.normalization.method,
+            normalizationScope: this.dataLoader.normalization.scope,
+            predictionTask: this.dataLoader.task
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = String(value);
+        });
+        const idsInput = document.getElementById('trackIds');
+        if (idsInput && this.dataLoader.restoredState) {
+            idsInput.value = this.dataLoader.restoredState.selectedTracks.join(', ');
+        }
+    }
+
+    // Returns a description of the first mismatch between the model and the
+    // loaded data, or null when they line up (or no data is loaded yet)
+    checkModelCompatibility(model = this.model) {
+        if (!this.trainingData || !model.model) return null;
+
+        if (model.isPerTrack()) {
+            return this.checkPerTrackCompatibility(model);
+        }
+
+        const [modelWindow, modelFeatures] = model.inputShape;
+        const [dataWindow, dataFeatures] = this.dataLoader.getInputShape();
+
+        if (modelWindow !== dataWindow) {
+            return `model expects a ${modelWindow}-day window but data uses ${dataWindow} days`;
+        }
+        if (modelFeatures !== dataFeatures) {
+            const perTrack = this.dataLoader.featureNames.length;
+            return `model expects ${modelFeatures} input features but data has ${dataFeatures} ` +
+                `(${this.dataLoader.selectedTracks.length} tracks × ${perTrack} features)`;
+        }
+
+        if (model.task !== this.dataLoader.task) {
+            return `model predicts ${TASK_LABELS[model.task] || model.task} but data targets ${TASK_LABELS[this.dataLoader.task]}`;
+        }
+
+        const dataOutputs = this.trainingData.y_train ? this.trainingData.y_train.shape[1] : null;
+        if (dataOutputs !== null && model.getOutputUnits() !== dataOutputs) {
+            return `model predicts ${model.getOutputUnits()} outputs but data has ${dataOutputs} targets`;
+        }
+
+        return null;
+    }
+
+    // Per-track models take any number of tracks; the window, the features
+    // of each track and the horizon still have to agree
+    checkPerTrackCompatibility(model) {
+        const [modelWindow, modelFeatures] = model.inputShape;
+        const [dataWindow, dataFeatures] = this.dataLoader.getTrackInputShape();
+
+        if (modelWindow !== dataWindow) {
+            return `model expects a ${modelWindow}-day window but data uses ${dataWindow} days`;
+        }
+        if (modelFeatures !== dataFeatures) {
+            return `model expects ${modelFeatures} features per track but data has ${dataFeatures}`;
+        }
+        if (model.task !== this.dataLoader.task) {
+            return `model predicts ${TASK_LABELS[model.task] || model.task} but data targets ${TASK_LABELS[this.dataLoader.task]}`;
+        }
+        if (model.getOutputUnits() !== this.dataLoader.horizon) {
+            return `model predicts ${model.getOutputUnits()} days ahead but data uses a ${this.dataLoader.horizon}-day horizon`;
+        }
+
+        return null;
+    }
+
     showLoading(message) {
         document.getElementById('loadingMessage').textContent = message;
         document.getElementById('loadingOverlay').style.display = 'flex';
@@ -441,7 +3268,7 @@ class MusicPopularityApp {
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.innerHTML = `
-            <strong>${type.toUpperCase()}:</strong> ${message}
+            <strong>${type.toUpperCase()}:</strong> ${escapeHTML(message)}
         `;
         
         document.body.appendChild(notification);
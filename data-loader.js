@@ -1,3 +1,157 @@
+// Bump whenever the layout of exportPreprocessingState() changes.
+// v2 added `horizon`; v1 manifests always used a 3-day horizon.
+// v3 added `imputation`; earlier manifests zero-padded missing days.
+// v4 added `task`; earlier manifests were always direction classifiers.
+// v5 added the calendar features and `calendarEvents`; earlier manifests used
+// the nine stream and audio features only. `featureNames` may list any
+// selection from FEATURE_REGISTRY.
+// v6 added `normalization` ({ method, scope }); earlier manifests were per-track
+// min-max, and their params have no `method`.
+const PREPROCESSING_SCHEMA_VERSION = 6;
+const SUPPORTED_PREPROCESSING_VERSIONS = [1, 2, 3, 4, 5, 6];
+
+// Accepted header names per field, compared without case or punctuation
+const CSV_COLUMN_ALIASES = {
+    date: ['date', 'day', 'chart_date'],
+    track_id: ['track_id', 'id', 'track_uri', 'uri', 'spotify_id', 'song_id'],
+    streams: ['streams', 'stream_count', 'plays'],
+    danceability: ['danceability'],
+    energy: ['energy'],
+    valence: ['valence'],
+    acousticness: ['acousticness']
+};
+const REQUIRED_CSV_COLUMNS = ['date', 'track_id', 'streams'];
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Every per-track feature the loader can build, in input order:
+//   group    - 'raw' (read from the CSV), 'history' (derived from past streams),
+//              'calendar' (derived from the date) or 'mask' (added by zero_mask imputation)
+//   compute  - (context) => value for derived features, see engineerFeatures();
+//              it may read features listed before it from context.entry
+//   history  - needs real stream history, so zero on zero-filled days
+//   scale    - 'fitted' with the chosen NORMALIZATION_METHODS on the training
+//              dates, or 'none' for values already on a fixed scale
+//   fallback - value for tracks without scaling params: 'streams' (a rough
+//              stream range), 'raw' or 'midpoint' (0.5)
+const FEATURE_REGISTRY = [
+    { name: 'streams', label: 'Streams', group: 'raw', scale: 'fitted', fallback: 'streams' },
+    { name: 'danceability', label: 'Danceability', group: 'raw', scale: 'fitted', fallback: 'raw' },
+    { name: 'energy', label: 'Energy', group: 'raw', scale: 'fitted', fallback: 'raw' },
+    { name: 'valence', label: 'Valence', group: 'raw', scale: 'fitted', fallback: 'raw' },
+    { name: 'acousticness', label: 'Acousticness', group: 'raw', scale: 'fitted', fallback: 'raw' },
+    {
+        name: 'streams_momentum', label: 'Momentum', group: 'history', history: true,
+        scale: 'fitted', fallback: 'midpoint',
+        compute: ({ entry, prev }) => prev ? entry.streams - prev.streams : 0
+    },
+    {
+        name: 'streams_growth_rate', label: 'Growth Rate', group: 'history', history: true,
+        scale: 'fitted', fallback: 'midpoint',
+        compute: ({ entry, prev }) => prev && prev.streams > 0 ? (entry.streams - prev.streams) / prev.streams : 0
+    },
+    {
+        name: 'streams_ma3', label: '3-day Moving Average', group: 'history', history: true,
+        scale: 'fitted', fallback: 'streams',
+        // Over whichever of the last 3 consecutive days exist
+        compute: ({ entry, prev, prev2 }) => {
+            const rows = [entry, prev, prev2].filter(row => row);
+            return rows.reduce((sum, row) => sum + row.streams, 0) / rows.length;
+        }
+    },
+    {
+        name: 'volatility', label: 'Volatility', group: 'history', history: true,
+        scale: 'fitted', fallback: 'midpoint',
+        compute: ({ entry }) => Math.abs(entry.streams_momentum / (entry.streams_ma3 || 1))
+    },
+    {
+        name: 'day_of_week_sin', label: 'Weekday (sin)', group: 'calendar', scale: 'none', fallback: 'raw',
+        compute: ({ weekday }) => weekday === null ? 0 : Math.sin(2 * Math.PI * weekday / 7)
+    },
+    {
+        name: 'day_of_week_cos', label: 'Weekday (cos)', group: 'calendar', scale: 'none', fallback: 'raw',
+        compute: ({ weekday }) => weekday === null ? 0 : Math.cos(2 * Math.PI * weekday / 7)
+    },
+    {
+        name: 'is_weekend', label: 'Weekend', group: 'calendar', scale: 'none', fallback: 'raw',
+        compute: ({ weekday }) => weekday === 0 || weekday === 6 ? 1 : 0
+    },
+    {
+        name: 'days_since_first', label: 'Days Since First Appearance', group: 'calendar',
+        scale: 'fitted', fallback: 'midpoint',
+        // Back-filled days before the first appearance count as day 0
+        compute: ({ day, firstDay }) => isNaN(day) || isNaN(firstDay) ? 0 : Math.max(0, day - firstDay)
+    },
+    {
+        // Longer averages span the weekly cycle, so they smooth it out
+        name: 'streams_ma7', label: '7-day Moving Average', group: 'history', history: true,
+        scale: 'fitted', fallback: 'streams',
+        compute: ({ movingAverage }) => movingAverage(7)
+    },
+    {
+        name: 'streams_ma14', label: '14-day Moving Average', group: 'history', history: true,
+        scale: 'fitted', fallback: 'streams',
+        compute: ({ movingAverage }) => movingAverage(14)
+    },
+    {
+        name: 'calendar_event', label: 'Holiday/Release Day', group: 'calendar', scale: 'none', fallback: 'raw',
+        compute: ({ isEvent }) => isEvent ? 1 : 0
+    },
+    // Lets the model tell a zero-filled day from a real zero; set by imputeMissingDays()
+    { name: 'observed', label: 'Observed Mask', group: 'mask', scale: 'none', fallback: 'raw' }
+];
+const FEATURE_SPECS = Object.fromEntries(FEATURE_REGISTRY.map(spec => [spec.name, spec]));
+// Per-row values read from the CSV; everything else in featureNames is derived
+const RAW_FEATURES = FEATURE_REGISTRY.filter(spec => spec.group === 'raw').map(spec => spec.name);
+
+// Features the user can switch on and off; all of them by default
+function selectableFeatureNames() {
+    return FEATURE_REGISTRY.filter(spec => spec.group !== 'mask').map(spec => spec.name);
+}
+
+function featureLabel(name) {
+    return FEATURE_SPECS[name] ? FEATURE_SPECS[name].label : name;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days since 1970-01-01. Rounded, so dates parsed as local time land on
+// the same day as ISO dates (parsed as UTC); NaN for unparseable dates
+function dayNumber(date) {
+    return Math.round(Date.parse(date) / DAY_MS);
+}
+
+// log1p that keeps the sign, for features that go negative (momentum, growth)
+function signedLog1p(value) {
+    return Math.sign(value) * Math.log1p(Math.abs(value));
+}
+
+function signedExpm1(value) {
+    return Math.sign(value) * Math.expm1(Math.abs(value));
+}
+
+// How 'fitted' features are scaled. Every fitted param object records its
+// method, so it can be inverted on its own (params without one are min-max):
+//   minmax       - (x - min) / (max - min), the original scaling
+//   zscore       - (x - mean) / std
+//   robust       - (x - median) / IQR; a single viral day barely moves either
+//   log1p_minmax - min-max of sign(x) * ln(1 + |x|), which compresses spikes
+const NORMALIZATION_METHODS = ['minmax', 'zscore', 'robust', 'log1p_minmax'];
+// per_track fits each track on its own history; global fits one set of
+// params on all selected tracks, keeping their relative sizes
+const NORMALIZATION_SCOPES = ['per_track', 'global'];
+
+// Spread of the uniform noise augmentSample() adds, in scaled units
+const AUGMENTATION_NOISE = 0.1;
+
+// 'zero' is the original zero-padding, kept only for manifests saved before imputation existed
+const IMPUTATION_STRATEGIES = ['forward_fill', 'linear', 'mean', 'zero_mask'];
+
+// What each target value means, see createTarget():
+//   classification - sigmoid-squashed growth vs. the reference day (up/down probability)
+//   streams        - the day's stream count, scaled with the track's streams params
+//   log_return     - ln((streams + 1) / (reference streams + 1))
+const PREDICTION_TASKS = ['classification', 'streams', 'log_return'];
+
 class DataLoader {
     constructor() {
         this.data = null;
@@ -5,121 +159,506 @@ class DataLoader {
         this.dates = new Set();
         this.X_train = null;
         this.y_train = null;
+        this.X_val = null;
+        this.y_val = null;
         this.X_test = null;
         this.y_test = null;
+        // Fractions of the date range; the test segment gets the remainder
+        this.splitRatios = { train: 0.7, validation: 0.15 };
         this.trackMetadata = new Map();
         this.normalizationParams = new Map();
+        this.normalization = { method: 'minmax', scope: 'per_track' };
         this.selectedTracks = [];
+        this.windowSize = 7;
+        this.horizon = 3;
+        // Either the top `count` tracks by total streams, or an explicit ID list
+        this.trackSelection = { count: 10, trackIds: [] };
+        this.unknownTrackIds = [];
+        // Field -> column index used for the last parse (see suggestColumnMapping)
+        this.columnMapping = null;
+        // Filled by parseCSV() and createSlidingWindows(), see buildQualityReport()
+        this.qualityReport = null;
+        // How days without a row are filled in, see imputeMissingDays()
+        this.imputation = 'forward_fill';
+        this.imputedTrackDays = 0;
+        // Training dates the 'mean' fill was last fitted on, see fillMeanImputedDays()
+        this.meanImputationDates = null;
+        // Registry features chosen in the UI; manifests saved before schema v5
+        // restore the original nine
+        this.featureSelection = selectableFeatureNames();
+        // Holidays (trackId null) and track release days, see setCalendarEvents()
+        this.calendarEvents = [];
+        // Per-track feature layout, in the order createSample() emits them
+        this.featureNames = this.featureNamesFor(this.imputation);
+        // Training-time preprocessing restored from a saved model manifest, if any
+        this.restoredState = null;
+        this.task = 'classification';
+        // Raw streams per track on each validation/test window's reference day,
+        // needed to turn log-return predictions back into stream counts
+        this.valReferenceStreams = [];
+        this.testReferenceStreams = [];
     }
 
-    async loadCSV(file) {
+    readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    this.parseCSV(e.target.result);
-                    resolve(this.data);
-                } catch (error) {
-                    reject(error);
-                }
-            };
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = reject;
             reader.readAsText(file);
         });
     }
 
-    parseCSV(csvText) {
-        const lines = csvText.split('\n').filter(line => line.trim());
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        
-        const dateIdx = headers.findIndex(h => h.toLowerCase().includes('date'));
-        const trackIdx = headers.findIndex(h => h.toLowerCase().includes('track'));
-        const streamsIdx = headers.findIndex(h => h.toLowerCase().includes('stream'));
-        const danceabilityIdx = headers.findIndex(h => h.toLowerCase().includes('danceability'));
-        const energyIdx = headers.findIndex(h => h.toLowerCase().includes('energy'));
-        const valenceIdx = headers.findIndex(h => h.toLowerCase().includes('valence'));
-        const acousticnessIdx = headers.findIndex(h => h.toLowerCase().includes('acousticness'));
+    async loadCSV(file, columnMapping = null, delimiter = null) {
+        const csvText = await this.readFile(file);
+        this.parseCSV(csvText, columnMapping, delimiter);
+        return this.data;
+    }
+
+    // columnMapping maps each field in CSV_COLUMN_ALIASES to a column index;
+    // without one, the headers are matched against the aliases
+    parseCSV(csvText, columnMapping = null, delimiter = null) {
+        const table = this.parseTable(csvText, delimiter);
+        const mapping = columnMapping || this.suggestColumnMapping(table.headers);
+        this.validateColumnMapping(mapping, table.headers);
+        this.columnMapping = mapping;
+
+        const numericFields = Object.keys(CSV_COLUMN_ALIASES).filter(field => field !== 'date' && field !== 'track_id');
 
         this.data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i]);
-            if (values.length >= Math.max(dateIdx, trackIdx, streamsIdx, danceabilityIdx, energyIdx)) {
-                const entry = {
-                    date: values[dateIdx],
-                    track_id: values[trackIdx],
-                    streams: parseFloat(values[streamsIdx]) || 0,
-                    danceability: parseFloat(values[danceabilityIdx]) || 0,
-                    energy: parseFloat(values[energyIdx]) || 0,
-                    valence: parseFloat(values[valenceIdx]) || 0,
-                    acousticness: parseFloat(values[acousticnessIdx]) || 0
-                };
-                
-                if (entry.track_id && entry.date) {
-                    this.data.push(entry);
-                    this.tracks.add(entry.track_id);
-                    this.dates.add(entry.date);
+        this.tracks = new Set();
+        this.dates = new Set();
+        this.trackMetadata = new Map();
+        this.unknownTrackIds = [];
+
+        const mappedFields = numericFields.filter(field => mapping[field] !== null && mapping[field] !== undefined);
+        const ingestion = {
+            totalRows: table.rows.length,
+            skippedRows: 0,
+            unmappedFields: numericFields.filter(field => !mappedFields.includes(field)),
+            coercedValues: Object.fromEntries(mappedFields.map(field => [field, { empty: 0, unparseable: 0, examples: [] }])),
+            unparseableDates: { count: 0, examples: [] }
+        };
+
+        table.rows.forEach(values => {
+            const entry = {
+                date: (values[mapping.date] || '').trim(),
+                track_id: (values[mapping.track_id] || '').trim()
+            };
+            if (!entry.track_id || !entry.date) {
+                ingestion.skippedRows++;
+                return;
+            }
+
+            numericFields.forEach(field => {
+                if (!mappedFields.includes(field)) {
+                    entry[field] = 0;
+                    return;
+                }
+                const raw = (values[mapping[field]] || '').trim();
+                const value = parseFloat(raw);
+                if (isNaN(value)) {
+                    // Still zero-filled as before, but counted for the quality report
+                    const coerced = ingestion.coercedValues[field];
+                    if (raw === '') {
+                        coerced.empty++;
+                    } else {
+                        coerced.unparseable++;
+                        if (coerced.examples.length < 3) coerced.examples.push(raw);
+                    }
+                }
+                entry[field] = value || 0;
+            });
+
+            if (isNaN(Date.parse(entry.date))) {
+                ingestion.unparseableDates.count++;
+                if (ingestion.unparseableDates.examples.length < 3) {
+                    ingestion.unparseableDates.examples.push(entry.date);
                 }
             }
-        }
 
-        this.selectTopTracks(10);
+            this.data.push(entry);
+            this.tracks.add(entry.track_id);
+            this.dates.add(entry.date);
+        });
+
+        if (this.restoredState) {
+            this.applyRestoredTracks();
+        } else if (this.trackSelection.trackIds.length > 0) {
+            this.selectTracksById(this.trackSelection.trackIds);
+        } else {
+            this.selectTopTracks(this.trackSelection.count);
+        }
+        this.imputeMissingDays();
         this.engineerFeatures(); // NEW: Feature engineering
+        this.qualityReport = this.buildQualityReport(ingestion);
         return this.data;
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
+    // Coverage, gaps and duplicates of the selected tracks, plus what ingestion
+    // had to coerce. createSlidingWindows() adds the `windows` section.
+    buildQualityReport(ingestion) {
+        const sortedDates = Array.from(this.dates).sort();
+        const observedRows = this.data.filter(entry => !entry.imputed);
+        const seen = new Set();
+        const duplicates = { count: 0, examples: [] };
+
+        observedRows.forEach(entry => {
+            const key = `${entry.date}|${entry.track_id}`;
+            if (seen.has(key)) {
+                duplicates.count++;
+                if (duplicates.examples.length < 3) duplicates.examples.push(`${entry.track_id} @ ${entry.date}`);
+            }
+            seen.add(key);
+        });
+
+        const tracks = this.selectedTracks.map(trackId => {
+            const observed = new Set(observedRows.filter(d => d.track_id === trackId).map(d => d.date));
+            let missingDays = 0;
+            let gapCount = 0;
+            let longestGap = 0;
+            let currentGap = 0;
+
+            // Only gaps between the first and last appearance count; dates
+            // before a track charted are reported through coverage alone
+            const firstIdx = sortedDates.findIndex(date => observed.has(date));
+            const lastIdx = sortedDates.length - 1 - sortedDates.slice().reverse().findIndex(date => observed.has(date));
+            for (let i = Math.max(firstIdx, 0); i <= lastIdx && firstIdx !== -1; i++) {
+                if (observed.has(sortedDates[i])) {
+                    currentGap = 0;
+                } else {
+                    missingDays++;
+                    if (currentGap === 0) gapCount++;
+                    currentGap++;
+                    longestGap = Math.max(longestGap, currentGap);
+                }
+            }
+
+            return {
+                trackId,
+                name: this.trackMetadata.get(trackId)?.name || trackId,
+                observedDays: observed.size,
+                totalDays: sortedDates.length,
+                coverage: sortedDates.length > 0 ? observed.size / sortedDates.length * 100 : 0,
+                missingDays,
+                gapCount,
+                longestGap
+            };
+        });
+
+        return {
+            rows: {
+                total: ingestion.totalRows,
+                skipped: ingestion.skippedRows,
+                selected: observedRows.length
+            },
+            imputation: {
+                strategy: this.imputation,
+                imputedTrackDays: this.imputedTrackDays
+            },
+            unmappedFields: ingestion.unmappedFields,
+            coercedValues: ingestion.coercedValues,
+            unparseableDates: ingestion.unparseableDates,
+            duplicates,
+            tracks,
+            windows: null
+        };
+    }
+
+    // RFC 4180 reader: quoted fields may hold delimiters, CR/LF and "" escapes.
+    // Returns { headers, rows, delimiter }; blank lines are skipped.
+    parseTable(text, delimiter = null) {
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+        const separator = delimiter || this.detectDelimiter(text);
+
+        const rows = [];
+        let row = [];
+        let field = '';
         let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim().replace(/"/g, ''));
-                current = '';
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                // Opening quote; whitespace before it is not part of the value
+                field = '';
+                inQuotes = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
             } else {
-                current += char;
+                field += char;
             }
         }
-        result.push(current.trim().replace(/"/g, ''));
-        return result;
+
+        if (inQuotes) {
+            throw new Error('CSV has an unterminated quoted field');
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonBlank = rows.filter(r => r.length > 1 || r[0].trim() !== '');
+        if (nonBlank.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        return {
+            headers: nonBlank[0].map(h => h.trim()),
+            rows: nonBlank.slice(1),
+            delimiter: separator
+        };
+    }
+
+    // Picks the candidate that splits the header line (outside quotes) the most
+    detectDelimiter(text) {
+        let headerLine = '';
+        let inQuotes = false;
+        for (const char of text) {
+            if (char === '"') inQuotes = !inQuotes;
+            if (!inQuotes && (char === '\n' || char === '\r')) break;
+            if (!inQuotes) headerLine += char;
+        }
+
+        let best = ',';
+        let bestCount = 0;
+        CSV_DELIMITERS.forEach(candidate => {
+            const count = headerLine.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    // Whole-name matches only (ignoring case and punctuation), so "track_name"
+    // is never taken for the track ID and "energy_level" never for energy
+    suggestColumnMapping(headers) {
+        const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const normalizedHeaders = headers.map(normalize);
+
+        const mapping = {};
+        Object.entries(CSV_COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const idx = aliases
+                .map(alias => normalizedHeaders.indexOf(normalize(alias)))
+                .find(i => i !== -1);
+            mapping[field] = idx !== undefined ? idx : null;
+        });
+        return mapping;
+    }
+
+    validateColumnMapping(mapping, headers) {
+        const missing = REQUIRED_CSV_COLUMNS.filter(field =>
+            mapping[field] === null || mapping[field] === undefined || !(mapping[field] < headers.length));
+        if (missing.length > 0) {
+            throw new Error(`No column mapped for: ${missing.join(', ')}. Found headers: ${headers.join(', ')}`);
+        }
+
+        const used = Object.values(mapping).filter(idx => idx !== null && idx !== undefined);
+        const duplicate = used.find((idx, i) => used.indexOf(idx) !== i);
+        if (duplicate !== undefined) {
+            throw new Error(`Column "${headers[duplicate]}" is mapped to more than one field`);
+        }
+    }
+
+    // Fills in the days a selected track has no row for, so every track has one
+    // row per CSV date. Imputed rows carry observed = 0; targets never use them.
+    imputeMissingDays() {
+        this.imputedTrackDays = 0;
+        if (this.imputation === 'zero') return; // legacy: gaps stay empty and are zero-padded later
+
+        const sortedDates = Array.from(this.dates).sort();
+        const imputedRows = [];
+
+        this.selectedTracks.forEach(trackId => {
+            const byDate = new Map();
+            this.data.forEach(entry => {
+                if (entry.track_id === trackId && !byDate.has(entry.date)) {
+                    entry.observed = 1;
+                    byDate.set(entry.date, entry);
+                }
+            });
+            if (byDate.size === 0) return;
+
+            const observedIdx = sortedDates.map((date, idx) => byDate.has(date) ? idx : -1).filter(idx => idx !== -1);
+
+            sortedDates.forEach((date, idx) => {
+                if (byDate.has(date)) return;
+
+                // Nearest observed days on either side (either may be missing at the edges)
+                const prevIdx = observedIdx.filter(o => o < idx).pop();
+                const nextIdx = observedIdx.find(o => o > idx);
+                const prev = prevIdx !== undefined ? byDate.get(sortedDates[prevIdx]) : null;
+                const next = nextIdx !== undefined ? byDate.get(sortedDates[nextIdx]) : null;
+
+                const entry = { date, track_id: trackId, observed: 0, imputed: true };
+                RAW_FEATURES.forEach(field => {
+                    switch (this.imputation) {
+                        case 'linear':
+                            entry[field] = prev && next ?
+                                prev[field] + (next[field] - prev[field]) * (idx - prevIdx) / (nextIdx - prevIdx) :
+                                (prev || next)[field];
+                            break;
+                        case 'mean':
+                            entry[field] = 0; // set by fillMeanImputedDays() below
+                            break;
+                        case 'zero_mask':
+                            entry[field] = 0;
+                            break;
+                        default: // forward_fill, back-filling days before the first appearance
+                            entry[field] = (prev || next)[field];
+                    }
+                });
+                imputedRows.push(entry);
+            });
+        });
+
+        this.imputedTrackDays = imputedRows.length;
+        this.data.push(...imputedRows);
+        this.meanImputationDates = null;
+        if (this.imputation === 'mean') {
+            this.fillMeanImputedDays(this.getTrainingDates());
+        }
+    }
+
+    // Sets mean-imputed days to each track's mean over its observed rows on
+    // trainingDates, so validation and test days never leak into the inputs.
+    // A track first seen after those dates takes its first observed day.
+    // Returns false when the fill is already fitted on these dates
+    fillMeanImputedDays(trainingDates) {
+        const datesKey = Array.from(trainingDates).sort().join('|');
+        if (this.meanImputationDates === datesKey) return false;
+        this.meanImputationDates = datesKey;
+
+        this.selectedTracks.forEach(trackId => {
+            const observed = this.data
+                .filter(entry => entry.track_id === trackId && !entry.imputed)
+                .sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+            if (observed.length === 0) return;
+
+            const fitRows = observed.filter(entry => trainingDates.has(entry.date));
+            const fill = Object.fromEntries(RAW_FEATURES.map(field => [
+                field,
+                fitRows.length > 0 ? fitRows.reduce((sum, entry) => sum + entry[field], 0) / fitRows.length : observed[0][field]
+            ]));
+            this.data
+                .filter(entry => entry.track_id === trackId && entry.imputed)
+                .forEach(entry => RAW_FEATURES.forEach(field => { entry[field] = fill[field]; }));
+        });
+        return true;
     }
 
     // NEW: Advanced feature engineering
+    // Rows are looked up by position on the CSV date axis, so a missing day
+    // breaks momentum and averages instead of silently bridging the gap
     engineerFeatures() {
+        const sortedDates = Array.from(this.dates).sort();
+        // Zero-filled days hold no real stream history to difference against
+        const hasHistory = (row) => row && (this.imputation !== 'zero_mask' || row.observed !== 0);
+        const holidays = new Set(this.calendarEvents.filter(event => !event.trackId).map(event => dayNumber(event.date)));
+        const releases = new Set(this.calendarEvents.filter(event => event.trackId)
+            .map(event => `${dayNumber(event.date)}|${event.trackId}`));
+        const derivedFeatures = FEATURE_REGISTRY.filter(spec => spec.compute);
+
         // Calculate rolling statistics for each track
         this.selectedTracks.forEach(trackId => {
-            const trackData = this.data.filter(d => d.track_id === trackId).sort((a, b) => a.date.localeCompare(b.date));
-            
-            // Add momentum features (rate of change)
-            for (let i = 1; i < trackData.length; i++) {
-                trackData[i].streams_momentum = trackData[i].streams - trackData[i-1].streams;
-                trackData[i].streams_growth_rate = trackData[i-1].streams > 0 ? 
-                    (trackData[i].streams - trackData[i-1].streams) / trackData[i-1].streams : 0;
-            }
-            
-            // Add rolling averages
-            for (let i = 2; i < trackData.length; i++) {
-                trackData[i].streams_ma3 = (trackData[i].streams + trackData[i-1].streams + trackData[i-2].streams) / 3;
-                trackData[i].volatility = Math.abs(trackData[i].streams_momentum / (trackData[i].streams_ma3 || 1));
-            }
+            const byDate = new Map();
+            this.data.forEach(entry => {
+                if (entry.track_id === trackId && !byDate.has(entry.date)) byDate.set(entry.date, entry);
+            });
             
-            // Fill missing values for first records
-            trackData[0].streams_momentum = 0;
-            trackData[0].streams_growth_rate = 0;
-            trackData[0].streams_ma3 = trackData[0].streams;
-            trackData[0].volatility = 0;
+            const observedDays = this.data
+                .filter(entry => entry.track_id === trackId && !entry.imputed)
+                .map(entry => dayNumber(entry.date))
+                .filter(day => !isNaN(day));
+            const firstDay = observedDays.length > 0 ? Math.min(...observedDays) : NaN;
+
+            // Mean streams over the days of the last `days` CSV dates that have history
+            const movingAverage = (i, days) => {
+                const rows = sortedDates.slice(Math.max(0, i - days + 1), i + 1)
+                    .map(date => byDate.get(date))
+                    .filter(hasHistory);
+                return rows.length > 0 ? rows.reduce((sum, row) => sum + row.streams, 0) / rows.length : 0;
+            };
             
-            if (trackData[1]) {
-                trackData[1].streams_ma3 = (trackData[1].streams + trackData[0].streams) / 2;
-                trackData[1].volatility = Math.abs(trackData[1].streams_momentum / (trackData[1].streams_ma3 || 1));
-            }
+            sortedDates.forEach((date, i) => {
+                const entry = byDate.get(date);
+                if (!entry) return;
+
+                const withHistory = hasHistory(entry);
+                const prev = withHistory && hasHistory(byDate.get(sortedDates[i - 1])) ? byDate.get(sortedDates[i - 1]) : null;
+                const prev2 = prev && hasHistory(byDate.get(sortedDates[i - 2])) ? byDate.get(sortedDates[i - 2]) : null;
+                const day = dayNumber(date);
+                const context = {
+                    entry,
+                    prev,
+                    prev2,
+                    day,
+                    firstDay,
+                    // 1970-01-01 was a Thursday; 0 is Sunday
+                    weekday: isNaN(day) ? null : (day + 4) % 7,
+                    isEvent: holidays.has(day) || releases.has(`${day}|${trackId}`),
+                    movingAverage: (days) => movingAverage(i, days)
+                };
+
+                // Every registry feature is computed, selected or not, so
+                // later ones can build on earlier ones
+                derivedFeatures.forEach(spec => {
+                    entry[spec.name] = spec.history && !withHistory ? 0 : spec.compute(context);
+                });
+            });
         });
     }
 
     selectTopTracks(n) {
+        const trackStreams = this.computeTrackStreams();
+
+        const sortedTracks = Array.from(trackStreams.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, n)
+            .map(entry => entry[0]);
+
+        this.applyTrackSelection(sortedTracks, trackStreams);
+    }
+
+    // Hand-picked tracks, kept in the order given; IDs absent from the CSV are skipped
+    selectTracksById(trackIds) {
+        const trackStreams = this.computeTrackStreams();
+        const uniqueIds = Array.from(new Set(trackIds));
+
+        this.unknownTrackIds = uniqueIds.filter(trackId => !trackStreams.has(trackId));
+        if (this.unknownTrackIds.length > 0) {
+            console.warn(`Selected tracks not found in CSV: ${this.unknownTrackIds.join(', ')}`);
+        }
+
+        const knownIds = uniqueIds.filter(trackId => trackStreams.has(trackId));
+        if (knownIds.length === 0) {
+            throw new Error('None of the selected track IDs appear in the CSV');
+        }
+
+        this.applyTrackSelection(knownIds, trackStreams);
+    }
+
+    computeTrackStreams() {
         const trackStreams = new Map();
         
         this.data.forEach(entry => {
@@ -127,82 +666,200 @@ class DataLoader {
             trackStreams.set(entry.track_id, current + entry.streams);
         });
 
-        const sortedTracks = Array.from(trackStreams.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, n)
-            .map(entry => entry[0]);
+        return trackStreams;
+    }
 
-        this.selectedTracks = sortedTracks;
+    applyTrackSelection(trackIds, trackStreams) {
+        this.selectedTracks = trackIds;
         this.data = this.data.filter(entry => this.selectedTracks.includes(entry.track_id));
 
         this.selectedTracks.forEach(trackId => {
-            const trackData = this.data.find(d => d.track_id === trackId);
-            if (trackData) {
-                this.trackMetadata.set(trackId, {
-                    id: trackId,
-                    name: trackId,
-                    totalStreams: trackStreams.get(trackId)
-                });
-            }
+            this.trackMetadata.set(trackId, {
+                id: trackId,
+                name: trackId,
+                totalStreams: trackStreams.get(trackId)
+            });
         });
     }
 
-    normalizeFeatures() {
-        this.normalizationParams = new Map();
+    // Keeps the saved track ordering so every input column and output keeps the
+    // meaning it had at training time, even if the new CSV ranks tracks differently
+    applyRestoredTracks() {
+        const trackStreams = this.computeTrackStreams();
+
+        this.selectedTracks = this.restoredState.selectedTracks.slice();
+        this.data = this.data.filter(entry => this.selectedTracks.includes(entry.track_id));
+
+        const missingTracks = this.selectedTracks.filter(trackId => !trackStreams.has(trackId));
+        if (missingTracks.length > 0) {
+            console.warn(`Tracks from the saved model missing in this CSV: ${missingTracks.join(', ')}`);
+        }
+
+        this.selectedTracks.forEach(trackId => {
+            const saved = this.restoredState.trackMetadata[trackId] || {};
+            this.trackMetadata.set(trackId, {
+                id: trackId,
+                name: saved.name || trackId,
+                totalStreams: trackStreams.get(trackId) || 0
+            });
+        });
+    }
+
+    // trainingDates overrides the dates the scaling (and a mean imputation)
+    // is fitted on, used per backtest fold
+    normalizeFeatures(trainingDates = null) {
+        const fitDates = trainingDates || this.getTrainingDates();
+        if (this.imputation === 'mean' && this.fillMeanImputedDays(fitDates)) {
+            // Derived features are built on the filled-in raw values
+            this.engineerFeatures();
+        }
+        if (this.restoredState) {
+            // Reuse the training-time scaling instead of fitting it to the new data
+            this.normalizationParams = new Map(Object.entries(this.restoredState.normalizationParams));
+        } else {
+            this.computeNormalizationParams(fitDates);
+        }
+        this.applyNormalization();
+    }
+
+    // Dates of the main split's training segment, the same ones splitData() trains on
+    getTrainingDates() {
         const sortedDates = Array.from(this.dates).sort();
-        const splitIndex = Math.floor(sortedDates.length * 0.8);
-        const trainingDates = new Set(sortedDates.slice(0, splitIndex));
+        const { trainEnd } = this.getSplitBoundaries(sortedDates.length);
+        return new Set(sortedDates.slice(0, trainEnd));
+    }
+
+    // Scaling is fitted on the training dates only
+    computeNormalizationParams(trainingDates = this.getTrainingDates()) {
+        this.normalizationParams = new Map();
         
+        // Imputed days would only echo the observed ones (or add zeros)
+        const fitRows = this.data.filter(d => trainingDates.has(d.date) && !d.imputed);
+        const fitParams = (rows) => Object.fromEntries(this.scaledFeatureNames().map(feature => [
+            feature,
+            this.fitScaling(rows.map(d => d[feature]).filter(v => !isNaN(v)), this.normalization.method)
+        ]));
+
+        // Global scope gives every track the same params, so manifests keep one entry per track
+        const globalParams = this.normalization.scope === 'global' ? fitParams(fitRows) : null;
         this.selectedTracks.forEach(trackId => {
-            const trackData = this.data.filter(d => d.track_id === trackId && trainingDates.has(d.date));
-            
-            // NEW: More features to normalize
-            const features = ['streams', 'danceability', 'energy', 'valence', 'acousticness', 
-                             'streams_momentum', 'streams_growth_rate', 'streams_ma3', 'volatility'];
-            const params = {};
-            
-            features.forEach(feature => {
-                const values = trackData.map(d => d[feature]).filter(v => !isNaN(v));
-                if (values.length > 0) {
-                    const min = Math.min(...values);
-                    const max = Math.max(...values);
-                    params[feature] = { min, max };
-                } else {
-                    params[feature] = { min: 0, max: 1 };
-                }
-            });
-            
+            const params = globalParams || fitParams(fitRows.filter(d => d.track_id === trackId));
             this.normalizationParams.set(trackId, params);
         });
+    }
 
+    // Features that get fitted params. streams always does: the stream-count
+    // target is scaled with it even when it is not an input
+    scaledFeatureNames() {
+        const names = this.featureNames.filter(feature => FEATURE_SPECS[feature].scale === 'fitted');
+        return names.includes('streams') ? names : ['streams', ...names];
+    }
+
+    // Params of one feature for `method`, fitted on its training values
+    fitScaling(values, method) {
+        if (values.length === 0) {
+            return method === 'zscore' ? { method, mean: 0, std: 1 } :
+                method === 'robust' ? { method, median: 0, scale: 1 } :
+                { method, min: 0, max: 1 };
+        }
+
+        if (method === 'zscore') {
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+            return { method, mean, std: Math.sqrt(variance) };
+        }
+        if (method === 'robust') {
+            const sorted = values.slice().sort((a, b) => a - b);
+            const quantile = (q) => {
+                const pos = (sorted.length - 1) * q;
+                const lower = Math.floor(pos);
+                const upper = Math.ceil(pos);
+                return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+            };
+            // Mostly-constant features have no IQR; their full range stands in
+            const iqr = quantile(0.75) - quantile(0.25);
+            return { method, median: quantile(0.5), scale: iqr > 0 ? iqr : sorted[sorted.length - 1] - sorted[0] };
+        }
+
+        const transformed = method === 'log1p_minmax' ? values.map(signedLog1p) : values;
+        let min = Infinity;
+        let max = -Infinity;
+        transformed.forEach(v => {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        });
+        return { method, min, max };
+    }
+
+    // Scales one raw value with params from fitScaling() (or a legacy { min, max })
+    normalizeValue(value, params) {
+        switch (params && params.method) {
+            case 'zscore':
+                return params.std > 0 ? (value - params.mean) / params.std : 0;
+            case 'robust':
+                return params.scale > 0 ? (value - params.median) / params.scale : 0;
+            case 'log1p_minmax':
+                return this.minMaxNormalize(signedLog1p(value), params);
+            default:
+                return this.minMaxNormalize(value, params);
+        }
+    }
+
+    // Inverse of normalizeValue(): a scaled value back in the feature's original units
+    denormalizeValue(value, params) {
+        switch (params && params.method) {
+            case 'zscore':
+                return value * params.std + params.mean;
+            case 'robust':
+                return value * params.scale + params.median;
+            case 'log1p_minmax':
+                return signedExpm1(this.minMaxDenormalize(value, params));
+            default:
+                return this.minMaxDenormalize(value, params);
+        }
+    }
+
+    // A track's feature value to model-input units and back; unscaled
+    // features pass through
+    normalizeFeatureValue(value, trackId, feature) {
+        if (FEATURE_SPECS[feature]?.scale === 'none') return value;
+        return this.normalizeValue(value, this.normalizationParams.get(trackId)?.[feature]);
+    }
+
+    denormalizeFeatureValue(value, trackId, feature) {
+        if (FEATURE_SPECS[feature]?.scale === 'none') return value;
+        return this.denormalizeValue(value, this.normalizationParams.get(trackId)?.[feature]);
+    }
+
+    applyNormalization() {
         this.data.forEach(entry => {
-            const params = this.normalizationParams.get(entry.track_id);
-            if (params) {
-                // Original features
-                entry.streams_normalized = this.minMaxNormalize(entry.streams, params.streams);
-                entry.danceability_normalized = this.minMaxNormalize(entry.danceability, params.danceability);
-                entry.energy_normalized = this.minMaxNormalize(entry.energy, params.energy);
-                entry.valence_normalized = this.minMaxNormalize(entry.valence, params.valence);
-                entry.acousticness_normalized = this.minMaxNormalize(entry.acousticness, params.acousticness);
-                
-                // Engineered features
-                entry.streams_momentum_normalized = this.minMaxNormalize(entry.streams_momentum || 0, params.streams_momentum);
-                entry.streams_growth_rate_normalized = this.minMaxNormalize(entry.streams_growth_rate || 0, params.streams_growth_rate);
-                entry.streams_ma3_normalized = this.minMaxNormalize(entry.streams_ma3 || entry.streams, params.streams_ma3);
-                entry.volatility_normalized = this.minMaxNormalize(entry.volatility || 0, params.volatility);
-            } else {
-                // Fallback normalization
-                const fallbackNormalize = (val) => (val - (-100)) / (100 - (-100)); // Rough estimate range
-                entry.streams_normalized = fallbackNormalize(entry.streams);
-                entry.danceability_normalized = entry.danceability;
-                entry.energy_normalized = entry.energy;
-                entry.valence_normalized = entry.valence;
-                entry.acousticness_normalized = entry.acousticness;
-                entry.streams_momentum_normalized = 0.5;
-                entry.streams_growth_rate_normalized = 0.5;
-                entry.streams_ma3_normalized = fallbackNormalize(entry.streams);
-                entry.volatility_normalized = 0.5;
+            if (entry.imputed && this.imputation === 'zero_mask') {
+                // Zero in model-input space, flagged by the observed mask
+                this.featureNames.forEach(feature => {
+                    entry[`${feature}_normalized`] = 0;
+                });
+                return;
             }
+
+            const params = this.normalizationParams.get(entry.track_id);
+            const fallbackNormalize = (val) => (val - (-100)) / (100 - (-100)); // Rough estimate range
+            this.featureNames.forEach(feature => {
+                const spec = FEATURE_SPECS[feature];
+                const value = entry[feature] || 0;
+                let normalized;
+                if (spec.scale === 'none') {
+                    normalized = value;
+                } else if (params) {
+                    normalized = this.normalizeValue(value, params[feature]);
+                } else if (spec.fallback === 'streams') {
+                    normalized = fallbackNormalize(entry.streams);
+                } else if (spec.fallback === 'raw') {
+                    normalized = value;
+                } else {
+                    normalized = 0.5;
+                }
+                entry[`${feature}_normalized`] = normalized;
+            });
         });
     }
 
@@ -213,41 +870,163 @@ class DataLoader {
         return 0.5;
     }
 
+    // A constant training range maps everything to 0.5, so its inverse is that constant
+    minMaxDenormalize(value, params) {
+        if (!params) return value;
+        if (params.max > params.min) {
+            return value * (params.max - params.min) + params.min;
+        }
+        return params.min;
+    }
+
     createSlidingWindows() {
         this.normalizeFeatures();
         
         const sortedDates = Array.from(this.dates).sort();
-        const samples = [];
-        const targets = [];
-        const windowSize = 7;
+        const windowStats = {
+            candidates: 0,
+            kept: 0,
+            missingReferenceDay: 0,
+            missingFutureDay: 0,
+            windowsWithPadding: 0,
+            paddedTrackDays: 0
+        };
+
+        const windows = this.buildWindows(windowStats);
+        windowStats.split = this.splitData(windows, sortedDates.length);
+
+        if (this.qualityReport) {
+            this.qualityReport.windows = windowStats;
+        }
+    }
+
+    // Every window whose reference day has a complete target, in date order,
+    // using the current normalization. stats, when given, counts what was dropped.
+    buildWindows(stats = null) {
+        const sortedDates = Array.from(this.dates).sort();
+        const windows = [];
+        const windowSize = this.windowSize;
 
-        // NEW: Data augmentation - create multiple variations
-        for (let i = windowSize; i < sortedDates.length - 3; i++) {
+        for (let i = windowSize - 1; i < sortedDates.length - this.horizon; i++) {
+            // The window ends on currentDate, the day targets are measured against,
+            // so a window over the latest dates forecasts the days after the CSV
             const currentDate = sortedDates[i];
-            const windowDates = sortedDates.slice(i - windowSize, i);
+            const windowDates = sortedDates.slice(i - windowSize + 1, i + 1);
+            
+            let paddedBefore = 0;
+            if (stats) {
+                stats.candidates++;
+                paddedBefore = stats.paddedTrackDays;
+            }
             
             // Original sample
-            const sample = this.createSample(windowDates);
+            const sample = this.createSample(windowDates, stats);
+            if (stats && stats.paddedTrackDays > paddedBefore) {
+                stats.windowsWithPadding++;
+            }
             if (sample) {
-                const target = this.createTarget(currentDate);
-                if (target && target.length === this.selectedTracks.length * 3) {
-                    samples.push(sample);
-                    targets.push(target);
-                    
-                    // NEW: Data augmentation - add slightly noisy versions
-                    for (let aug = 0; aug < 2; aug++) {
-                        const augmentedSample = this.augmentSample(sample);
-                        samples.push(augmentedSample);
-                        targets.push(target);
-                    }
+                const target = this.createTarget(currentDate, stats);
+                if (target && target.length === this.getOutputSize()) {
+                    if (stats) stats.kept++;
+                    windows.push({ sample, target, referenceIdx: i, referenceStreams: this.getReferenceStreams(currentDate) });
                 }
             }
         }
 
-        this.splitData(samples, targets);
+        return windows;
     }
 
-    createSample(windowDates) {
+    // Rolling-origin folds over the date axis. Each fold trains on dates
+    // [trainStart, trainEnd) - growing for 'expanding', fixed-length for
+    // 'sliding' - and is tested on the windows referenced in [testStart, testEnd).
+    createBacktestFolds({ mode = 'expanding', initialTrainFraction = 0.5, stepDays = this.horizon } = {}) {
+        if (mode !== 'expanding' && mode !== 'sliding') {
+            throw new Error(`Unknown backtest mode "${mode}" (expected expanding or sliding)`);
+        }
+        if (!Number.isInteger(stepDays) || stepDays < 1) {
+            throw new Error(`Backtest step must be a positive number of days, got ${stepDays}`);
+        }
+
+        const numDates = this.dates.size;
+        const initialTrainDays = Math.floor(numDates * initialTrainFraction);
+        const folds = [];
+
+        for (let trainEnd = initialTrainDays; trainEnd < numDates - this.horizon; trainEnd += stepDays) {
+            folds.push({
+                index: folds.length,
+                mode,
+                trainStart: mode === 'sliding' ? trainEnd - initialTrainDays : 0,
+                trainEnd,
+                testStart: trainEnd,
+                testEnd: Math.min(trainEnd + stepDays, numDates - this.horizon)
+            });
+        }
+
+        return folds;
+    }
+
+    // Train/validation/test arrays for one fold. Scaling and a mean imputation
+    // are refitted on the fold's training dates; call normalizeFeatures()
+    // afterwards to restore those of the main split. The last part of the
+    // training range is held out (with a horizon gap) for early stopping.
+    createFoldData(fold, validationFraction = 0.15) {
+        const sortedDates = Array.from(this.dates).sort();
+        this.normalizeFeatures(new Set(sortedDates.slice(fold.trainStart, fold.trainEnd)));
+        const windows = this.buildWindows();
+
+        // Training windows, targets included, end before valStart. The extra
+        // `horizon` days are the gap that keeps validation inputs from
+        // overlapping the last training targets
+        const valDays = this.horizon + Math.max(1, Math.floor((fold.trainEnd - fold.trainStart) * validationFraction));
+        const valStart = fold.trainEnd - valDays;
+
+        const foldData = {
+            train: { samples: [], targets: [] },
+            validation: { samples: [], targets: [] },
+            test: { samples: [], targets: [] },
+            dates: {
+                trainStart: sortedDates[fold.trainStart],
+                trainEnd: sortedDates[fold.trainEnd - 1],
+                testStart: sortedDates[fold.testStart],
+                testEnd: sortedDates[fold.testEnd - 1]
+            }
+        };
+
+        windows.forEach(({ sample, target, referenceIdx }) => {
+            if (referenceIdx >= fold.trainStart && referenceIdx + this.horizon < valStart) {
+                this.addTrainingSample(foldData.train, sample, target);
+            } else if (referenceIdx >= valStart && referenceIdx + this.horizon < fold.trainEnd) {
+                foldData.validation.samples.push(sample);
+                foldData.validation.targets.push(target);
+            } else if (referenceIdx >= fold.testStart && referenceIdx < fold.testEnd) {
+                foldData.test.samples.push(sample);
+                foldData.test.targets.push(target);
+            }
+        });
+
+        return foldData;
+    }
+
+    // NEW: Data augmentation - add slightly noisy versions alongside the original
+    addTrainingSample(split, sample, target) {
+        split.samples.push(sample);
+        split.targets.push(target);
+        for (let aug = 0; aug < 2; aug++) {
+            split.samples.push(this.augmentSample(sample));
+            split.targets.push(target);
+        }
+    }
+
+    // Date boundaries of the train / validation / test segments: dates before
+    // trainEnd are training dates, [trainEnd, valEnd) validation, the rest test
+    getSplitBoundaries(numDates) {
+        const trainEnd = Math.floor(numDates * this.splitRatios.train);
+        const valEnd = Math.floor(numDates * (this.splitRatios.train + this.splitRatios.validation));
+        return { trainEnd, valEnd };
+    }
+
+    // stats, when given, counts track-days that had to be zero-padded
+    createSample(windowDates, stats = null) {
         const sample = [];
         
         for (const date of windowDates) {
@@ -256,21 +1035,14 @@ class DataLoader {
             for (const trackId of this.selectedTracks) {
                 const entry = this.data.find(d => d.date === date && d.track_id === trackId);
                 if (entry) {
-                    // NEW: More features per track (9 instead of 3)
-                    dayFeatures.push(
-                        entry.streams_normalized || 0,
-                        entry.danceability_normalized || 0,
-                        entry.energy_normalized || 0,
-                        entry.valence_normalized || 0,
-                        entry.acousticness_normalized || 0,
-                        entry.streams_momentum_normalized || 0,
-                        entry.streams_growth_rate_normalized || 0,
-                        entry.streams_ma3_normalized || 0,
-                        entry.volatility_normalized || 0
-                    );
+                    // NEW: More features per track, in featureNames order
+                    this.featureNames.forEach(feature => {
+                        dayFeatures.push(entry[`${feature}_normalized`] || 0);
+                    });
                 } else {
-                    // If data missing, use zeros for all 9 features
-                    dayFeatures.push(0, 0, 0, 0, 0, 0, 0, 0, 0);
+                    // If data missing, use zeros for every feature
+                    dayFeatures.push(...new Array(this.featureNames.length).fill(0));
+                    if (stats) stats.paddedTrackDays++;
                 }
             }
             
@@ -280,38 +1052,210 @@ class DataLoader {
         return sample.length === windowDates.length ? sample : null;
     }
 
+    // One input window ending on the last date in the CSV, for predicting the
+    // days after it. Requires normalizeFeatures() to have run.
+    createForecastWindow() {
+        const sortedDates = Array.from(this.dates).sort();
+        if (sortedDates.length < this.windowSize) {
+            throw new Error(`Need at least ${this.windowSize} dates to forecast, found ${sortedDates.length}`);
+        }
+
+        const windowDates = sortedDates.slice(-this.windowSize);
+        const sample = this.createSample(windowDates);
+        if (!sample) {
+            throw new Error('Could not build a forecast window from the latest dates');
+        }
+
+        return {
+            sample,
+            windowDates,
+            lastDate: windowDates[windowDates.length - 1]
+        };
+    }
+
+    // Raw streams per selected track on `date`. Observed rows only unless
+    // includeImputed, which the forecast uses for a latest day that was filled in
+    getReferenceStreams(date, { includeImputed = false } = {}) {
+        return this.selectedTracks.map(trackId => {
+            const entry = this.data.find(d => d.date === date && d.track_id === trackId &&
+                (includeImputed || !d.imputed));
+            return entry ? entry.streams : null;
+        });
+    }
+
+    // Inverse of createTarget() for the regression tasks: a model output for
+    // trackId back to a stream count. referenceStreams is the track's streams
+    // on the window's reference day (used by log_return)
+    toStreamCount(value, trackId, referenceStreams) {
+        if (this.task === 'streams') {
+            return Math.max(0, this.denormalizeFeatureValue(value, trackId, 'streams'));
+        }
+        if (this.task === 'log_return') {
+            return Math.max(0, (referenceStreams + 1) * Math.exp(value) - 1);
+        }
+        throw new Error('Stream counts are only available for the regression tasks');
+    }
+
+    isRegression() {
+        return this.task !== 'classification';
+    }
+
+    // Daily log change of streams per selected track, aligned to the CSV date
+    // axis: changes[trackIdx][dateIdx], null unless both that day and the day
+    // before were observed (imputed days would invent co-movement)
+    computeStreamChanges() {
+        const sortedDates = Array.from(this.dates).sort();
+        return this.selectedTracks.map(trackId => {
+            const observed = new Map();
+            this.data.forEach(entry => {
+                if (entry.track_id === trackId && !entry.imputed) {
+                    observed.set(entry.date, entry.streams);
+                }
+            });
+            return sortedDates.map((date, idx) => {
+                if (idx === 0 || !observed.has(date) || !observed.has(sortedDates[idx - 1])) return null;
+                return Math.log((observed.get(date) + 1) / (observed.get(sortedDates[idx - 1]) + 1));
+            });
+        });
+    }
+
+    // Pearson correlation of a[t] with b[t + lag] over the days where both
+    // exist; NaN with fewer than 3 such days or a constant series
+    laggedCorrelation(a, b, lag = 0) {
+        const pairs = [];
+        for (let t = Math.max(0, -lag); t < a.length && t + lag < b.length; t++) {
+            if (a[t] !== null && b[t + lag] !== null) pairs.push([a[t], b[t + lag]]);
+        }
+        if (pairs.length < 3) return NaN;
+
+        const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+        const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+        let covariance = 0, varianceA = 0, varianceB = 0;
+        pairs.forEach(([x, y]) => {
+            covariance += (x - meanA) * (y - meanB);
+            varianceA += (x - meanA) ** 2;
+            varianceB += (y - meanB) ** 2;
+        });
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : NaN;
+    }
+
+    // Cross-track view of the selected tracks' daily stream changes:
+    //   correlation - same-day correlation matrix, in selectedTracks order
+    //   leadLag     - per pair, the cross-correlation at lags -maxLag..maxLag;
+    //                 a positive bestLag means track a moves that many days before b
+    //   clusters    - average-linkage groups whose members correlate at
+    //                 minCorrelation or more on average
+    computeCoMovement({ maxLag = 7, minCorrelation = 0.5 } = {}) {
+        if (!this.data || this.selectedTracks.length < 2) {
+            throw new Error('Co-movement needs loaded data with at least two selected tracks');
+        }
+
+        const changes = this.computeStreamChanges();
+        const tracks = this.selectedTracks;
+        const correlation = tracks.map((_, i) => tracks.map((_, j) =>
+            i === j ? 1 : this.laggedCorrelation(changes[i], changes[j])));
+
+        const leadLag = [];
+        for (let i = 0; i < tracks.length; i++) {
+            for (let j = i + 1; j < tracks.length; j++) {
+                const lags = [];
+                for (let lag = -maxLag; lag <= maxLag; lag++) {
+                    lags.push({ lag, correlation: this.laggedCorrelation(changes[i], changes[j], lag) });
+                }
+                const best = lags.filter(l => Number.isFinite(l.correlation))
+                    .reduce((a, b) => (a && Math.abs(a.correlation) >= Math.abs(b.correlation) ? a : b), null);
+                leadLag.push({
+                    a: tracks[i],
+                    b: tracks[j],
+                    lags,
+                    bestLag: best ? best.lag : null,
+                    bestCorrelation: best ? best.correlation : NaN
+                });
+            }
+        }
+
+        return {
+            tracks: tracks.slice(),
+            correlation,
+            leadLag,
+            clusters: this.clusterTracks(correlation, minCorrelation)
+        };
+    }
+
+    // Agglomerative clustering on correlation: repeatedly merge the two groups
+    // with the highest average pairwise correlation until none reaches
+    // minCorrelation. Missing correlations count as 0. Returns track IDs per group
+    clusterTracks(correlation, minCorrelation = 0.5) {
+        const value = (i, j) => Number.isFinite(correlation[i][j]) ? correlation[i][j] : 0;
+        let groups = this.selectedTracks.map((_, i) => [i]);
+
+        while (groups.length > 1) {
+            let best = null;
+            for (let g = 0; g < groups.length; g++) {
+                for (let h = g + 1; h < groups.length; h++) {
+                    let sum = 0;
+                    groups[g].forEach(i => groups[h].forEach(j => { sum += value(i, j); }));
+                    const average = sum / (groups[g].length * groups[h].length);
+                    if (!best || average > best.average) best = { g, h, average };
+                }
+            }
+            if (best.average < minCorrelation) break;
+            groups[best.g] = groups[best.g].concat(groups[best.h]);
+            groups = groups.filter((_, idx) => idx !== best.h);
+        }
+
+        return groups
+            .sort((a, b) => b.length - a.length)
+            .map(group => group.map(i => this.selectedTracks[i]));
+    }
+
     // NEW: Data augmentation with noise
+    // Noise goes on the fitted features only, unclamped: scaled values are not
+    // confined to [0, 1], and flags, the mask and the weekday stay exact
     augmentSample(sample) {
+        const perTrack = this.featureNames.length;
+        const noisy = this.featureNames.map(feature => FEATURE_SPECS[feature].scale === 'fitted');
         return sample.map(day => 
-            day.map(feature => {
-                // Add small random noise (5% of value)
-                const noise = (Math.random() - 0.5) * 0.1;
-                return Math.max(0, Math.min(1, feature + noise));
+            day.map((value, col) => {
+                if (!noisy[col % perTrack]) return value;
+                return value + (Math.random() - 0.5) * AUGMENTATION_NOISE;
             })
         );
     }
 
-    createTarget(currentDate) {
+    // stats, when given, counts why windows get no target
+    createTarget(currentDate, stats = null) {
         const target = [];
         const sortedDates = Array.from(this.dates).sort();
         const currentDateIndex = sortedDates.indexOf(currentDate);
         
         for (const trackId of this.selectedTracks) {
-            const currentEntry = this.data.find(d => d.date === currentDate && d.track_id === trackId);
-            if (!currentEntry) return null;
+            // Targets only ever come from observed rows, never imputed ones
+            const currentEntry = this.data.find(d => d.date === currentDate && d.track_id === trackId && !d.imputed);
+            if (!currentEntry) {
+                if (stats) stats.missingReferenceDay++;
+                return null;
+            }
 
             const currentStreams = currentEntry.streams;
             
-            for (let offset = 1; offset <= 3; offset++) {
+            for (let offset = 1; offset <= this.horizon; offset++) {
                 const futureDate = sortedDates[currentDateIndex + offset];
-                const futureEntry = this.data.find(d => d.date === futureDate && d.track_id === trackId);
+                const futureEntry = this.data.find(d => d.date === futureDate && d.track_id === trackId && !d.imputed);
                 
                 if (futureEntry) {
-                    // NEW: Use probability instead of binary for smoother learning
-                    const increaseRatio = (futureEntry.streams - currentStreams) / (currentStreams || 1);
-                    const probability = 1 / (1 + Math.exp(-increaseRatio * 10)); // Sigmoid to get probability
-                    target.push(probability);
+                    if (this.task === 'streams') {
+                        target.push(this.normalizeFeatureValue(futureEntry.streams, trackId, 'streams'));
+                    } else if (this.task === 'log_return') {
+                        target.push(Math.log((futureEntry.streams + 1) / (currentStreams + 1)));
+                    } else {
+                        // NEW: Use probability instead of binary for smoother learning
+                        const increaseRatio = (futureEntry.streams - currentStreams) / (currentStreams || 1);
+                        const probability = 1 / (1 + Math.exp(-increaseRatio * 10)); // Sigmoid to get probability
+                        target.push(probability);
+                    }
                 } else {
+                    if (stats) stats.missingFutureDay++;
                     return null;
                 }
             }
@@ -320,35 +1264,285 @@ class DataLoader {
         return target;
     }
 
-    splitData(samples, targets, trainRatio = 0.8) {
-        const splitIndex = Math.floor(samples.length * trainRatio);
-        
-        console.log(`Total samples: ${samples.length}`);
-        console.log(`Training samples: ${splitIndex}`);
-        console.log(`Test samples: ${samples.length - splitIndex}`);
-        console.log(`Features per track: 9, Total features: ${9 * this.selectedTracks.length}`);
+    // Assigns windows to a segment by date. A window belongs to a segment only if
+    // its reference day and every target day fall inside it, which leaves a gap
+    // of `horizon` reference days at each boundary so no target peeks across.
+    // Augmented copies are only ever added to the training set.
+    splitData(windows, numDates) {
+        this.dispose();
+        const { trainEnd, valEnd } = this.getSplitBoundaries(numDates);
+        const segmentOf = (dateIdx) => dateIdx < trainEnd ? 'train' : dateIdx < valEnd ? 'validation' : 'test';
+
+        const splits = {
+            train: { samples: [], targets: [] },
+            validation: { samples: [], targets: [] },
+            test: { samples: [], targets: [] }
+        };
+        const referenceStreams = { validation: [], test: [] };
+        let gapExcluded = 0;
+
+        windows.forEach(({ sample, target, referenceIdx, referenceStreams: reference }) => {
+            const segment = segmentOf(referenceIdx);
+            if (segmentOf(referenceIdx + this.horizon) !== segment) {
+                gapExcluded++;
+                return;
+            }
+
+            if (segment === 'train') {
+                this.addTrainingSample(splits.train, sample, target);
+            } else {
+                splits[segment].samples.push(sample);
+                splits[segment].targets.push(target);
+                referenceStreams[segment].push(reference);
+            }
+        });
+
+        const empty = Object.keys(splits).filter(segment => splits[segment].samples.length === 0);
+        if (empty.length > 0) {
+            throw new Error(`Not enough dates for a train/validation/test split: no ${empty.join(', ')} samples. ` +
+                `Load more dates or use a shorter window/horizon.`);
+        }
+
+        const perTrack = this.featureNames.length;
+        console.log(`Training samples: ${splits.train.samples.length} (including augmented copies)`);
+        console.log(`Validation samples: ${splits.validation.samples.length}`);
+        console.log(`Test samples: ${splits.test.samples.length}`);
+        console.log(`Windows left out at split boundaries: ${gapExcluded}`);
+        console.log(`Features per track: ${perTrack}, Total features: ${perTrack * this.selectedTracks.length}`);
         
-        this.X_train = tf.tensor3d(samples.slice(0, splitIndex));
-        this.y_train = tf.tensor2d(targets.slice(0, splitIndex));
-        this.X_test = tf.tensor3d(samples.slice(splitIndex));
-        this.y_test = tf.tensor2d(targets.slice(splitIndex));
+        this.X_train = tf.tensor3d(splits.train.samples);
+        this.y_train = tf.tensor2d(splits.train.targets);
+        this.X_val = tf.tensor3d(splits.validation.samples);
+        this.y_val = tf.tensor2d(splits.validation.targets);
+        this.X_test = tf.tensor3d(splits.test.samples);
+        this.y_test = tf.tensor2d(splits.test.targets);
+        this.valReferenceStreams = referenceStreams.validation;
+        this.testReferenceStreams = referenceStreams.test;
         
         this.logDataStatistics();
+
+        return {
+            train: splits.train.samples.length,
+            validation: splits.validation.samples.length,
+            test: splits.test.samples.length,
+            gapExcluded
+        };
     }
 
     logDataStatistics() {
         if (this.X_train && this.y_train) {
             const trainMean = this.y_train.mean().dataSync()[0];
-            console.log(`Training set - Average target probability: ${trainMean.toFixed(4)}`);
+            console.log(`Training set - Average target ${this.isRegression() ? `(${this.task})` : 'probability'}: ${trainMean.toFixed(4)}`);
+        }
+    }
+
+    setWindowConfig({ windowSize = 7, horizon = 3 } = {}) {
+        if (!Number.isInteger(windowSize) || windowSize < 2) {
+            throw new Error(`Window size must be an integer of at least 2 days, got ${windowSize}`);
+        }
+        if (!Number.isInteger(horizon) || horizon < 1 || horizon > 7) {
+            throw new Error(`Prediction horizon must be between 1 and 7 days, got ${horizon}`);
+        }
+        this.windowSize = windowSize;
+        this.horizon = horizon;
+    }
+
+    // The selected features in registry order, plus the observed mask for zero_mask
+    featureNamesFor(imputation, selection = this.featureSelection) {
+        return FEATURE_REGISTRY
+            .filter(spec => spec.group === 'mask' ? imputation === 'zero_mask' : selection.includes(spec.name))
+            .map(spec => spec.name);
+    }
+
+    setFeatureSelection(names) {
+        const selectable = selectableFeatureNames();
+        const unknown = names.filter(name => !selectable.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown features: ${unknown.join(', ')} (expected some of ${selectable.join(', ')})`);
+        }
+        if (names.length === 0) {
+            throw new Error('Select at least one feature');
         }
+        this.featureSelection = selectable.filter(name => names.includes(name));
+        this.featureNames = this.featureNamesFor(this.imputation);
+    }
+
+    // events: [{ date, trackId }], trackId null for a holiday that applies to
+    // every track, or a track ID for that track's release day
+    setCalendarEvents(events = []) {
+        const invalid = events.filter(event => isNaN(dayNumber(event.date)));
+        if (invalid.length > 0) {
+            throw new Error(`Calendar dates not understood: ${invalid.map(event => event.date).join(', ')}`);
+        }
+        this.calendarEvents = events.map(event => ({
+            date: String(event.date).trim(),
+            trackId: event.trackId ? String(event.trackId).trim() : null
+        }));
+    }
+
+    setImputation(strategy) {
+        if (!IMPUTATION_STRATEGIES.includes(strategy) && strategy !== 'zero') {
+            throw new Error(`Unknown imputation strategy "${strategy}" (expected one of ${IMPUTATION_STRATEGIES.join(', ')})`);
+        }
+        this.imputation = strategy;
+        this.featureNames = this.featureNamesFor(strategy);
+    }
+
+    setNormalization({ method = 'minmax', scope = 'per_track' } = {}) {
+        if (!NORMALIZATION_METHODS.includes(method)) {
+            throw new Error(`Unknown scaling "${method}" (expected one of ${NORMALIZATION_METHODS.join(', ')})`);
+        }
+        if (!NORMALIZATION_SCOPES.includes(scope)) {
+            throw new Error(`Unknown scaling scope "${scope}" (expected one of ${NORMALIZATION_SCOPES.join(', ')})`);
+        }
+        this.normalization = { method, scope };
+    }
+
+    setTask(task) {
+        if (!PREDICTION_TASKS.includes(task)) {
+            throw new Error(`Unknown prediction target "${task}" (expected one of ${PREDICTION_TASKS.join(', ')})`);
+        }
+        this.task = task;
+    }
+
+    setTrackSelection({ count = 10, trackIds = [] } = {}) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Track count must be a positive integer, got ${count}`);
+        }
+        this.trackSelection = {
+            count,
+            trackIds: trackIds.map(id => String(id).trim()).filter(id => id)
+        };
+    }
+
+    // Shape of one model input: [days in window, tracks × features per track]
+    getInputShape() {
+        return [this.windowSize, this.selectedTracks.length * this.featureNames.length];
+    }
+
+    // Shape of one track's window, the input of per-track models
+    getTrackInputShape() {
+        return [this.windowSize, this.featureNames.length];
+    }
+
+    // One output per track per day ahead
+    getOutputSize() {
+        return this.selectedTracks.length * this.horizon;
+    }
+
+    // Everything needed to turn a fresh CSV into inputs the saved model understands
+    exportPreprocessingState() {
+        return {
+            schemaVersion: PREPROCESSING_SCHEMA_VERSION,
+            createdAt: new Date().toISOString(),
+            windowSize: this.windowSize,
+            horizon: this.horizon,
+            imputation: this.imputation,
+            task: this.task,
+            featureNames: this.featureNames.slice(),
+            calendarEvents: this.calendarEvents.map(event => ({ ...event })),
+            normalization: { ...this.normalization },
+            selectedTracks: this.selectedTracks.slice(),
+            trackMetadata: Object.fromEntries(this.trackMetadata),
+            normalizationParams: Object.fromEntries(this.normalizationParams)
+        };
+    }
+
+    // Identifies the processed dataset a model was trained on: a hash of the
+    // observed rows for the selected tracks plus the settings that shape the
+    // windows, including the feature selection, scaling and calendar. Row
+    // order in the CSV and event order in the calendar do not change it
+    getDatasetFingerprint() {
+        const rows = (this.data || [])
+            .filter(entry => !entry.imputed)
+            .map(entry => [entry.date, entry.track_id, ...RAW_FEATURES.map(f => entry[f])].join('|'))
+            .sort();
+
+        // 32-bit FNV-1a
+        let hash = 0x811c9dc5;
+        rows.forEach(row => {
+            for (let i = 0; i < row.length; i++) {
+                hash ^= row.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            hash ^= 10; // row separator
+            hash = Math.imul(hash, 0x01000193);
+        });
+
+        const dates = Array.from(new Set(rows.map(row => row.split('|')[0]))).sort();
+        return {
+            hash: (hash >>> 0).toString(16).padStart(8, '0'),
+            rows: rows.length,
+            firstDate: dates[0] || null,
+            lastDate: dates[dates.length - 1] || null,
+            tracks: this.selectedTracks.length,
+            windowSize: this.windowSize,
+            horizon: this.horizon,
+            imputation: this.imputation,
+            task: this.task,
+            featureNames: this.featureNames.slice(),
+            normalization: { ...this.normalization },
+            calendarEvents: this.calendarEvents
+                .map(event => event.trackId ? `${event.date} ${event.trackId}` : event.date)
+                .sort()
+        };
+    }
+
+    // restoreTracks false adopts only the window, horizon, imputation, features,
+    // scaling method and target: per-track models run on any tracks, normalized from the new CSV
+    importPreprocessingState(state, { restoreTracks = true } = {}) {
+        if (!state || !SUPPORTED_PREPROCESSING_VERSIONS.includes(state.schemaVersion)) {
+            throw new Error(`Unsupported preprocessing manifest version: ${state ? state.schemaVersion : 'none'} ` +
+                `(supported: ${SUPPORTED_PREPROCESSING_VERSIONS.join(', ')})`);
+        }
+        if (!Array.isArray(state.selectedTracks) || state.selectedTracks.length === 0) {
+            throw new Error('Preprocessing manifest has no track list');
+        }
+        const imputation = state.schemaVersion >= 3 ? state.imputation : 'zero';
+        const selection = (state.featureNames || []).filter(name => FEATURE_SPECS[name]?.group !== 'mask');
+        const expectedFeatures = this.featureNamesFor(imputation, selection);
+        if (JSON.stringify(state.featureNames) !== JSON.stringify(expectedFeatures)) {
+            throw new Error(`Preprocessing manifest feature layout (${state.featureNames}) ` +
+                `does not match the supported one (${expectedFeatures})`);
+        }
+        const missingParams = state.selectedTracks.filter(trackId => !state.normalizationParams?.[trackId]);
+        if (restoreTracks && missingParams.length > 0) {
+            throw new Error(`Preprocessing manifest lacks normalization params for: ${missingParams.join(', ')}`);
+        }
+
+        this.setFeatureSelection(selection);
+        this.setImputation(imputation);
+        this.setNormalization(state.schemaVersion >= 6 ? state.normalization : {});
+        this.setCalendarEvents(state.calendarEvents || []);
+        this.setTask(state.schemaVersion >= 4 ? state.task : 'classification');
+        this.windowSize = state.windowSize;
+        this.horizon = state.schemaVersion >= 2 ? state.horizon : 3;
+        if (!restoreTracks) {
+            // Drop a manifest left by an earlier wide model, so the new CSV is
+            // selected and scaled from the Data Settings instead
+            this.clearPreprocessingState();
+            return;
+        }
+
+        this.restoredState = state;
+        this.selectedTracks = state.selectedTracks.slice();
+        this.normalizationParams = new Map(Object.entries(state.normalizationParams));
+    }
+
+    clearPreprocessingState() {
+        this.restoredState = null;
     }
 
     getTrainingData() {
         return {
             X_train: this.X_train,
             y_train: this.y_train,
+            X_val: this.X_val,
+            y_val: this.y_val,
             X_test: this.X_test,
             y_test: this.y_test,
+            valReferenceStreams: this.valReferenceStreams,
+            testReferenceStreams: this.testReferenceStreams,
             trackMetadata: this.trackMetadata,
             selectedTracks: this.selectedTracks
         };
@@ -364,15 +1558,19 @@ class DataLoader {
         };
         
         console.log("Train has NaN:", hasNaN(data.X_train));
+        console.log("Validation has NaN:", hasNaN(data.X_val));
         console.log("Test has NaN:", hasNaN(data.X_test));
         
-        return !hasNaN(data.X_train) && !hasNaN(data.X_test);
+        return !hasNaN(data.X_train) && !hasNaN(data.X_val) && !hasNaN(data.X_test);
     }
 
     dispose() {
         if (this.X_train) this.X_train.dispose();
         if (this.y_train) this.y_train.dispose();
+        if (this.X_val) this.X_val.dispose();
+        if (this.y_val) this.y_val.dispose();
         if (this.X_test) this.X_test.dispose();
         if (this.y_test) this.y_test.dispose();
+        this.X_train = this.y_train = this.X_val = this.y_val = this.X_test = this.y_test = null;
     }
 }
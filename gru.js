@@ -1,189 +1,1061 @@
+// Adds fixed sinusoidal position signals so the attention block can tell
+// window days apart. Has no weights; registered so saved transformer
+// models can be reloaded with tf.loadLayersModel
+class PositionalEncoding extends tf.layers.Layer {
+    static get className() {
+        return 'PositionalEncoding';
+    }
+
+    computeOutputShape(inputShape) {
+        return inputShape;
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            const [steps, dModel] = x.shape.slice(1);
+            const encoding = [];
+            for (let pos = 0; pos < steps; pos++) {
+                const row = [];
+                for (let i = 0; i < dModel; i++) {
+                    const angle = pos / Math.pow(10000, (2 * Math.floor(i / 2)) / dModel);
+                    row.push(i % 2 === 0 ? Math.sin(angle) : Math.cos(angle));
+                }
+                encoding.push(row);
+            }
+            return x.add(tf.tensor2d(encoding).expandDims(0));
+        });
+    }
+}
+tf.serialization.registerClass(PositionalEncoding);
+
+// Defaults reproduce the original fixed GRU; hyperparameter search and the
+// saved model metadata override them per model
+const DEFAULT_HYPERPARAMETERS = {
+    units: 128,       // width of the first encoder layer; deeper layers scale from it
+    dropout: 0.3,
+    l2: 0.001,
+    learningRate: 0.001,
+    batchSize: 32,
+    patience: 25
+};
+
+function scaleUnits(units, factor) {
+    return Math.max(1, Math.round(units * factor));
+}
+
+// Dense layers shared by every architecture after its sequence encoder
+function denseHead(x, outputUnits, hp, outputActivation) {
+    x = tf.layers.dense({
+        units: 64,
+        activation: 'relu',
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'dense_1'
+    }).apply(x);
+    x = tf.layers.dropout({rate: hp.dropout}).apply(x);
+    x = tf.layers.dense({
+        units: 32,
+        activation: 'relu',
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'dense_2'
+    }).apply(x);
+    x = tf.layers.dropout({rate: 0.2}).apply(x);
+    return tf.layers.dense({
+        units: outputUnits, // tracks × days ahead
+        activation: outputActivation,
+        name: 'output'
+    }).apply(x);
+}
+
+function buildGRU(inputShape, outputUnits, hp, outputActivation) {
+    return tf.sequential({
+        layers: [
+            // Input layer with batch normalization
+            tf.layers.gru({
+                units: hp.units,
+                returnSequences: true,
+                inputShape,
+                dropout: hp.dropout,
+                recurrentDropout: hp.dropout,
+                kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                recurrentRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                name: 'gru_1'
+            }),
+            
+            // Batch normalization between GRU layers
+            tf.layers.batchNormalization(),
+            
+            // Second GRU layer
+            tf.layers.gru({
+                units: scaleUnits(hp.units, 0.5),
+                returnSequences: false,
+                dropout: hp.dropout,
+                recurrentDropout: hp.dropout,
+                kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                recurrentRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                name: 'gru_2'
+            }),
+            
+            // Batch normalization
+            tf.layers.batchNormalization(),
+            
+            // First dense layer
+            tf.layers.dense({
+                units: 128,
+                activation: 'relu',
+                kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                name: 'dense_1'
+            }),
+            tf.layers.dropout({rate: 0.4}),
+            tf.layers.batchNormalization(),
+            
+            // Second dense layer
+            tf.layers.dense({
+                units: 64,
+                activation: 'relu',
+                kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                name: 'dense_2'
+            }),
+            tf.layers.dropout({rate: hp.dropout}),
+            tf.layers.batchNormalization(),
+            
+            // Third dense layer
+            tf.layers.dense({
+                units: 32,
+                activation: 'relu',
+                kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+                name: 'dense_3'
+            }),
+            tf.layers.dropout({rate: 0.2}),
+            
+            // Output layer
+            tf.layers.dense({
+                units: outputUnits, // tracks × days ahead
+                activation: outputActivation,
+                name: 'output'
+            })
+        ]
+    });
+}
+
+function buildLSTM(inputShape, outputUnits, hp, outputActivation) {
+    const input = tf.input({shape: inputShape});
+    let x = tf.layers.lstm({
+        units: hp.units,
+        returnSequences: true,
+        dropout: hp.dropout,
+        recurrentDropout: hp.dropout,
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        recurrentRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'lstm_1'
+    }).apply(input);
+    x = tf.layers.batchNormalization().apply(x);
+    x = tf.layers.lstm({
+        units: scaleUnits(hp.units, 0.5),
+        dropout: hp.dropout,
+        recurrentDropout: hp.dropout,
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        recurrentRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'lstm_2'
+    }).apply(x);
+    x = tf.layers.batchNormalization().apply(x);
+    return tf.model({inputs: input, outputs: denseHead(x, outputUnits, hp, outputActivation)});
+}
+
+function buildBidirectionalGRU(inputShape, outputUnits, hp, outputActivation) {
+    const input = tf.input({shape: inputShape});
+    let x = tf.layers.bidirectional({
+        layer: tf.layers.gru({
+            units: scaleUnits(hp.units, 0.5),
+            returnSequences: true,
+            dropout: hp.dropout,
+            recurrentDropout: hp.dropout,
+            kernelRegularizer: tf.regularizers.l2({l2: hp.l2})
+        }),
+        mergeMode: 'concat',
+        name: 'bigru_1'
+    }).apply(input);
+    x = tf.layers.batchNormalization().apply(x);
+    x = tf.layers.bidirectional({
+        layer: tf.layers.gru({
+            units: scaleUnits(hp.units, 0.25),
+            dropout: hp.dropout,
+            recurrentDropout: hp.dropout,
+            kernelRegularizer: tf.regularizers.l2({l2: hp.l2})
+        }),
+        mergeMode: 'concat',
+        name: 'bigru_2'
+    }).apply(x);
+    x = tf.layers.batchNormalization().apply(x);
+    return tf.model({inputs: input, outputs: denseHead(x, outputUnits, hp, outputActivation)});
+}
+
+// Three kernel-3 convolutions give a 7-day receptive field. tfjs conv1d has
+// no causal padding and no gradients for dilation > 1, so this uses plain
+// 'same' padding; the whole window is already history, so no target day leaks in
+function buildTemporalCNN(inputShape, outputUnits, hp, outputActivation) {
+    const input = tf.input({shape: inputShape});
+    let x = input;
+    [0.5, 0.5, 0.25].forEach((width, i) => {
+        x = tf.layers.conv1d({
+            filters: scaleUnits(hp.units, width),
+            kernelSize: 3,
+            padding: 'same',
+            activation: 'relu',
+            kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+            name: `conv_${i + 1}`
+        }).apply(x);
+        x = tf.layers.batchNormalization().apply(x);
+        x = tf.layers.dropout({rate: hp.dropout}).apply(x);
+    });
+    x = tf.layers.globalAveragePooling1d().apply(x);
+    return tf.model({inputs: input, outputs: denseHead(x, outputUnits, hp, outputActivation)});
+}
+
+// Single-head encoder block. tfjs has no attention layer, so Q·Kᵀ, softmax
+// and the weighted sum over V are built from dot/activation layers; the
+// 1/sqrt(d) scaling is left for the query projection to learn
+function buildTransformer(inputShape, outputUnits, hp, outputActivation) {
+    const dModel = scaleUnits(hp.units, 0.5);
+    const input = tf.input({shape: inputShape});
+    let x = tf.layers.dense({units: dModel, name: 'embedding'}).apply(input);
+    x = new PositionalEncoding({name: 'positional_encoding'}).apply(x);
+
+    const query = tf.layers.dense({units: dModel, name: 'query'}).apply(x);
+    const key = tf.layers.dense({units: dModel, name: 'key'}).apply(x);
+    const value = tf.layers.dense({units: dModel, name: 'value'}).apply(x);
+    let scores = tf.layers.dot({axes: [2, 2], name: 'attention_scores'}).apply([query, key]);
+    scores = tf.layers.activation({activation: 'softmax', name: 'attention_weights'}).apply(scores);
+    // Weights · V, with V transposed to [dModel, steps] so both dot axes are 2
+    const valueT = tf.layers.permute({dims: [2, 1], name: 'value_transposed'}).apply(value);
+    let attended = tf.layers.dot({axes: [2, 2], name: 'attention_output'}).apply([scores, valueT]);
+    attended = tf.layers.dropout({rate: 0.1}).apply(attended);
+    x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, attended]));
+
+    let ff = tf.layers.dense({
+        units: dModel * 2,
+        activation: 'relu',
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'feed_forward_1'
+    }).apply(x);
+    ff = tf.layers.dense({units: dModel, name: 'feed_forward_2'}).apply(ff);
+    ff = tf.layers.dropout({rate: 0.1}).apply(ff);
+    x = tf.layers.layerNormalization().apply(tf.layers.add().apply([x, ff]));
+
+    x = tf.layers.globalAveragePooling1d().apply(x);
+    return tf.model({inputs: input, outputs: denseHead(x, outputUnits, hp, outputActivation)});
+}
+
+// Ignores ordering entirely; a useful check on how much the sequence
+// encoders actually add
+function buildMLP(inputShape, outputUnits, hp, outputActivation) {
+    const input = tf.input({shape: inputShape});
+    let x = tf.layers.flatten().apply(input);
+    x = tf.layers.dense({
+        units: scaleUnits(hp.units, 2),
+        activation: 'relu',
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'mlp_1'
+    }).apply(x);
+    x = tf.layers.dropout({rate: 0.4}).apply(x);
+    x = tf.layers.batchNormalization().apply(x);
+    x = tf.layers.dense({
+        units: hp.units,
+        activation: 'relu',
+        kernelRegularizer: tf.regularizers.l2({l2: hp.l2}),
+        name: 'mlp_2'
+    }).apply(x);
+    x = tf.layers.dropout({rate: hp.dropout}).apply(x);
+    return tf.model({inputs: input, outputs: denseHead(x, outputUnits, hp, outputActivation)});
+}
+
+// Every builder takes (inputShape, outputUnits, hyperparameters, outputActivation)
+// and returns an uncompiled model with an 'output' layer of outputUnits, so
+// training, evaluation and MC-dropout code is shared. The activation is sigmoid
+// for the direction classifier and linear for the regression tasks
+const MODEL_ARCHITECTURES = {
+    gru: { label: 'Stacked GRU', build: buildGRU },
+    lstm: { label: 'Stacked LSTM', build: buildLSTM },
+    bigru: { label: 'Bidirectional GRU', build: buildBidirectionalGRU },
+    tcn: { label: 'Temporal CNN', build: buildTemporalCNN },
+    transformer: { label: 'Transformer encoder', build: buildTransformer },
+    mlp: { label: 'Dense MLP', build: buildMLP }
+};
+
+// How tracks reach the model:
+//   wide      - every track's features side by side in one [window, tracks × features]
+//               input with tracks × horizon outputs; tied to one track list
+//   per_track - each track is its own [window, features] sequence through shared
+//               weights with horizon outputs, so any number of tracks (including
+//               ones never trained on) can be scored
+// embeddingSize > 0 adds a learned per-track vector to every time step; tracks
+// outside the vocabulary fixed at build time share the "unknown" row 0
+const DEFAULT_MODEL_LAYOUT = {
+    mode: 'wide',
+    embeddingSize: 0,
+    vocabulary: []
+};
+
+// Share of training windows fed as the unknown track, so row 0 of the
+// embedding is learned for songs that chart later. fit() redraws which
+// ones every epoch
+const UNKNOWN_TRACK_RATE = 0.1;
+
+// Wraps an architecture builder for per-track models with a track embedding:
+// the embedding is repeated over the window and concatenated to the features
+function buildWithTrackEmbedding(build, inputShape, outputUnits, hp, outputActivation, layout) {
+    const [steps, features] = inputShape;
+    const sequence = tf.input({shape: inputShape, name: 'sequence'});
+    const trackIndex = tf.input({shape: [1], name: 'track_index'});
+    let embedded = tf.layers.embedding({
+        inputDim: layout.vocabulary.length + 1,
+        outputDim: layout.embeddingSize,
+        name: 'track_embedding'
+    }).apply(trackIndex);
+    embedded = tf.layers.flatten().apply(embedded);
+    embedded = tf.layers.repeatVector({n: steps}).apply(embedded);
+    const merged = tf.layers.concatenate().apply([sequence, embedded]);
+    const encoder = build([steps, features + layout.embeddingSize], outputUnits, hp, outputActivation);
+    return tf.model({inputs: [sequence, trackIndex], outputs: encoder.apply(merged)});
+}
+
+// Learning-rate schedules for GRUModel.fit():
+//   constant - the base rate throughout
+//   step     - multiply by factor every stepSize epochs (the original halving every 30)
+//   cosine   - anneal from the base rate down to minLearningRate over the run
+//   plateau  - multiply by factor after patience epochs without a val-loss improvement
+// warmupEpochs ramps linearly up to the scheduled rate and combines with any type
+const DEFAULT_LR_SCHEDULE = {
+    type: 'step',
+    stepSize: 30,
+    factor: 0.5,
+    patience: 5,
+    minLearningRate: 1e-6,
+    warmupEpochs: 0
+};
+
+class LearningRateScheduler {
+    // state, from exportState(), picks up the plateau tracking of a checkpointed run
+    constructor(baseLearningRate, totalEpochs, config = {}, state = null) {
+        this.config = { ...DEFAULT_LR_SCHEDULE, ...config };
+        this.baseLearningRate = baseLearningRate;
+        this.totalEpochs = totalEpochs;
+        this.plateauLearningRate = baseLearningRate;
+        this.bestValLoss = Infinity;
+        this.epochsWithoutImprovement = 0;
+        if (state) {
+            this.plateauLearningRate = state.plateauLearningRate;
+            // JSON turns Infinity (nothing recorded yet) into null
+            this.bestValLoss = state.bestValLoss === null ? Infinity : state.bestValLoss;
+            this.epochsWithoutImprovement = state.epochsWithoutImprovement;
+        }
+    }
+
+    exportState() {
+        return {
+            plateauLearningRate: this.plateauLearningRate,
+            bestValLoss: this.bestValLoss,
+            epochsWithoutImprovement: this.epochsWithoutImprovement
+        };
+    }
+
+    learningRateFor(epoch) {
+        const { type, stepSize, factor, minLearningRate, warmupEpochs } = this.config;
+        const base = this.baseLearningRate;
+        let rate;
+
+        switch (type) {
+            case 'step':
+                rate = base * Math.pow(factor, Math.floor(epoch / stepSize));
+                break;
+            case 'cosine': {
+                const span = Math.max(1, this.totalEpochs - warmupEpochs - 1);
+                const progress = Math.min(1, Math.max(0, epoch - warmupEpochs) / span);
+                rate = minLearningRate + (base - minLearningRate) * (1 + Math.cos(Math.PI * progress)) / 2;
+                break;
+            }
+            case 'plateau':
+                rate = this.plateauLearningRate;
+                break;
+            default:
+                rate = base;
+        }
+
+        if (epoch < warmupEpochs) {
+            rate *= (epoch + 1) / warmupEpochs;
+        }
+        return rate;
+    }
+
+    // Only the plateau schedule reacts to validation loss; warmup epochs don't count
+    recordValidationLoss(epoch, valLoss) {
+        if (this.config.type !== 'plateau' || epoch < this.config.warmupEpochs) return;
+
+        if (valLoss < this.bestValLoss - 0.001) {
+            this.bestValLoss = valLoss;
+            this.epochsWithoutImprovement = 0;
+        } else if (++this.epochsWithoutImprovement >= this.config.patience) {
+            this.plateauLearningRate = Math.max(this.config.minLearningRate,
+                this.plateauLearningRate * this.config.factor);
+            this.epochsWithoutImprovement = 0;
+            console.log(`Validation loss plateaued, learning rate reduced to ${this.plateauLearningRate}`);
+        }
+    }
+}
+
+// Quantiles predictWithUncertainty() reports across the MC dropout samples
+const DEFAULT_QUANTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+// Sigmoid outputs are clipped this far from 0/1 before taking logits
+const CALIBRATION_EPSILON = 1e-6;
+
+// Maps raw sigmoid outputs to probabilities that match observed growth rates.
+// Fitted on the validation split against the direction outcome (target > 0.5):
+//   none        - identity
+//   temperature - sigmoid(logit(p) / T), one T for every output
+//   isotonic    - monotonic piecewise-linear map from pool-adjacent-violators
+// state is plain JSON so it can ride along in the model metadata
+class ProbabilityCalibrator {
+    constructor(state = { method: 'none' }) {
+        this.state = state;
+    }
+
+    static fit(method, probabilities, outcomes) {
+        if (probabilities.length === 0) {
+            throw new Error('No validation predictions to calibrate on');
+        }
+        if (method === 'temperature') {
+            return new ProbabilityCalibrator({
+                method,
+                temperature: ProbabilityCalibrator.fitTemperature(probabilities, outcomes)
+            });
+        }
+        if (method === 'isotonic') {
+            return new ProbabilityCalibrator({
+                method,
+                points: ProbabilityCalibrator.fitIsotonic(probabilities, outcomes)
+            });
+        }
+        if (method === 'none') {
+            return new ProbabilityCalibrator();
+        }
+        throw new Error(`Unknown calibration method "${method}"`);
+    }
+
+    static logit(p) {
+        const clipped = Math.min(1 - CALIBRATION_EPSILON, Math.max(CALIBRATION_EPSILON, p));
+        return Math.log(clipped / (1 - clipped));
+    }
+
+    // Golden-section search over log T; the negative log-likelihood is
+    // unimodal in T, and T stays within [e^-3, e^3]
+    static fitTemperature(probabilities, outcomes) {
+        const logits = probabilities.map(p => ProbabilityCalibrator.logit(p));
+        const nll = logT => {
+            const t = Math.exp(logT);
+            return logits.reduce((sum, z, i) => {
+                const p = 1 / (1 + Math.exp(-z / t));
+                const clipped = Math.min(1 - CALIBRATION_EPSILON, Math.max(CALIBRATION_EPSILON, p));
+                return sum - (outcomes[i] ? Math.log(clipped) : Math.log(1 - clipped));
+            }, 0);
+        };
+
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let lo = -3;
+        let hi = 3;
+        for (let i = 0; i < 60; i++) {
+            const a = hi - ratio * (hi - lo);
+            const b = lo + ratio * (hi - lo);
+            if (nll(a) < nll(b)) {
+                hi = b;
+            } else {
+                lo = a;
+            }
+        }
+        return Math.exp((lo + hi) / 2);
+    }
+
+    // Pool adjacent violators over predictions sorted by probability; each
+    // pooled block becomes one [mean probability, observed rate] point
+    static fitIsotonic(probabilities, outcomes) {
+        const order = probabilities.map((p, i) => i).sort((a, b) => probabilities[a] - probabilities[b]);
+        const blocks = [];
+        order.forEach(i => {
+            blocks.push({ sumX: probabilities[i], sumY: outcomes[i] ? 1 : 0, count: 1 });
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const prev = blocks[blocks.length - 2];
+                if (prev.sumY / prev.count < last.sumY / last.count) break;
+                blocks.pop();
+                prev.sumX += last.sumX;
+                prev.sumY += last.sumY;
+                prev.count += last.count;
+            }
+        });
+        return blocks.map(b => [b.sumX / b.count, b.sumY / b.count]);
+    }
+
+    apply(p) {
+        const { method } = this.state;
+        if (method === 'temperature') {
+            return 1 / (1 + Math.exp(-ProbabilityCalibrator.logit(p) / this.state.temperature));
+        }
+        if (method === 'isotonic') {
+            const points = this.state.points;
+            if (p <= points[0][0]) return points[0][1];
+            if (p >= points[points.length - 1][0]) return points[points.length - 1][1];
+            let i = 1;
+            while (points[i][0] < p) i++;
+            const [x0, y0] = points[i - 1];
+            const [x1, y1] = points[i];
+            return y0 + (y1 - y0) * (p - x0) / (x1 - x0);
+        }
+        return p;
+    }
+
+    // Returns a new tensor; the input is left to the caller
+    applyTensor(probabilities) {
+        const { method } = this.state;
+        if (method === 'temperature') {
+            return tf.tidy(() => {
+                const clipped = probabilities.clipByValue(CALIBRATION_EPSILON, 1 - CALIBRATION_EPSILON);
+                const logits = clipped.div(tf.scalar(1).sub(clipped)).log();
+                return tf.sigmoid(logits.div(this.state.temperature));
+            });
+        }
+        if (method === 'isotonic') {
+            const values = Array.from(probabilities.dataSync(), p => this.apply(p));
+            return tf.tensor(values, probabilities.shape);
+        }
+        return probabilities.clone();
+    }
+
+    describe() {
+        const { method } = this.state;
+        if (method === 'temperature') return `temperature scaling (T = ${this.state.temperature.toFixed(3)})`;
+        if (method === 'isotonic') return `isotonic regression (${this.state.points.length} steps)`;
+        return 'uncalibrated';
+    }
+}
+
+// Reliability diagram data and expected calibration error: predictions are
+// binned by probability, and ECE is the count-weighted gap between each bin's
+// mean prediction and its observed growth rate
+function computeReliability(probabilities, outcomes, numBins = 10) {
+    const bins = Array.from({ length: numBins }, (_, i) => ({
+        lower: i / numBins,
+        upper: (i + 1) / numBins,
+        count: 0,
+        sumPredicted: 0,
+        sumObserved: 0
+    }));
+
+    probabilities.forEach((p, i) => {
+        const bin = bins[Math.min(numBins - 1, Math.floor(p * numBins))];
+        bin.count++;
+        bin.sumPredicted += p;
+        bin.sumObserved += outcomes[i] ? 1 : 0;
+    });
+
+    const total = probabilities.length;
+    let ece = 0;
+    const summary = bins.map(bin => {
+        const meanPredicted = bin.count > 0 ? bin.sumPredicted / bin.count : null;
+        const observedRate = bin.count > 0 ? bin.sumObserved / bin.count : null;
+        if (bin.count > 0) {
+            ece += (bin.count / total) * Math.abs(meanPredicted - observedRate);
+        }
+        return { lower: bin.lower, upper: bin.upper, count: bin.count, meanPredicted, observedRate };
+    });
+
+    return { bins: summary, ece, count: total };
+}
+
+// The targets are soft growth probabilities (DataLoader.createTarget), which
+// tf's binary metrics compare exactly and so score as 0; these compiled
+// metrics compare the up/down direction instead
+function toDirection(values) {
+    return values.greater(0.5).cast('float32');
+}
+
+function directionAccuracy(yTrue, yPred) {
+    return tf.metrics.binaryAccuracy(toDirection(yTrue), yPred);
+}
+
+function directionPrecision(yTrue, yPred) {
+    return tf.metrics.precision(toDirection(yTrue), toDirection(yPred));
+}
+
+function directionRecall(yTrue, yPred) {
+    return tf.metrics.recall(toDirection(yTrue), toDirection(yPred));
+}
+
+// Confusion counts at threshold and the scores derived from them, plus the
+// threshold-free ROC-AUC, average precision and Brier score. Ratios with an
+// empty denominator are NaN; MCC is 0 when any confusion margin is empty
+function binaryClassificationScores(probabilities, outcomes, threshold = 0.5) {
+    let tp = 0, fp = 0, tn = 0, fn = 0, squaredError = 0;
+    probabilities.forEach((p, i) => {
+        const predicted = p > threshold;
+        if (predicted && outcomes[i]) tp++;
+        else if (predicted) fp++;
+        else if (outcomes[i]) fn++;
+        else tn++;
+        squaredError += Math.pow(p - (outcomes[i] ? 1 : 0), 2);
+    });
+
+    const count = probabilities.length;
+    const precision = tp + fp > 0 ? tp / (tp + fp) : NaN;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : NaN;
+    const mccDenominator = Math.sqrt((tp + fp) * (tp + fn) * (tn + fp) * (tn + fn));
+
+    return {
+        count,
+        confusion: { tp, fp, tn, fn },
+        accuracy: count > 0 ? (tp + tn) / count : NaN,
+        precision,
+        recall,
+        f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : NaN,
+        mcc: mccDenominator > 0 ? (tp * tn - fp * fn) / mccDenominator : 0,
+        brier: count > 0 ? squaredError / count : NaN,
+        rocAuc: rocCurve(probabilities, outcomes).auc,
+        prAuc: precisionRecallCurve(probabilities, outcomes).averagePrecision
+    };
+}
+
+// Pairs sorted by descending probability, tied probabilities grouped so each
+// distinct value is one threshold step
+function thresholdSteps(probabilities, outcomes) {
+    const order = probabilities.map((p, i) => i).sort((a, b) => probabilities[b] - probabilities[a]);
+    const steps = [];
+    order.forEach(i => {
+        const last = steps[steps.length - 1];
+        if (last && last.threshold === probabilities[i]) {
+            last.positives += outcomes[i] ? 1 : 0;
+            last.negatives += outcomes[i] ? 0 : 1;
+        } else {
+            steps.push({ threshold: probabilities[i], positives: outcomes[i] ? 1 : 0, negatives: outcomes[i] ? 0 : 1 });
+        }
+    });
+    return steps;
+}
+
+// Points run from (0, 0) to (1, 1); AUC by the trapezoidal rule, NaN when
+// only one class is present
+function rocCurve(probabilities, outcomes) {
+    const totalPositives = outcomes.filter(Boolean).length;
+    const totalNegatives = outcomes.length - totalPositives;
+    if (totalPositives === 0 || totalNegatives === 0) {
+        return { points: [], auc: NaN };
+    }
+
+    const points = [{ x: 0, y: 0, threshold: 1 }];
+    let tp = 0, fp = 0, auc = 0;
+    thresholdSteps(probabilities, outcomes).forEach(step => {
+        const prevX = fp / totalNegatives;
+        const prevY = tp / totalPositives;
+        tp += step.positives;
+        fp += step.negatives;
+        const x = fp / totalNegatives;
+        const y = tp / totalPositives;
+        auc += (x - prevX) * (y + prevY) / 2;
+        points.push({ x, y, threshold: step.threshold });
+    });
+    return { points, auc };
+}
+
+// Recall on x, precision on y; PR-AUC is average precision, the precision at
+// each threshold weighted by the recall it adds
+function precisionRecallCurve(probabilities, outcomes) {
+    const totalPositives = outcomes.filter(Boolean).length;
+    if (totalPositives === 0) {
+        return { points: [], averagePrecision: NaN };
+    }
+
+    const points = [];
+    let tp = 0, fp = 0, averagePrecision = 0;
+    thresholdSteps(probabilities, outcomes).forEach(step => {
+        tp += step.positives;
+        fp += step.negatives;
+        const precision = tp / (tp + fp);
+        averagePrecision += precision * step.positives / totalPositives;
+        points.push({ x: tp / totalPositives, y: precision, threshold: step.threshold });
+    });
+    return { points, averagePrecision };
+}
+
+// Where fit() keeps the best weights of an unfinished run
+const TRAINING_CHECKPOINT_URL = 'indexeddb://music-popularity-training-checkpoint';
+
 class GRUModel {
-    constructor(inputShape = [7, 90]) { // Updated for 10 tracks × 9 features
+    // Shapes come from DataLoader.getInputShape() / getOutputSize(); they are
+    // left null until data is loaded, or taken from the file by loadModel().
+    // architecture is a MODEL_ARCHITECTURES key; the class name predates the registry.
+    // hyperparameters may be partial, missing keys fall back to DEFAULT_HYPERPARAMETERS.
+    // task is one of PREDICTION_TASKS and must match the DataLoader's targets.
+    // layout follows DEFAULT_MODEL_LAYOUT; per_track models take the per-track
+    // shapes ([window, features] and horizon) and trackOrder, the track IDs
+    // behind the wide data's columns, which also seeds the embedding vocabulary
+    constructor(inputShape = null, outputUnits = null, architecture = 'gru', hyperparameters = {},
+        task = 'classification', layout = {}, trackOrder = []) {
         this.model = null;
         this.inputShape = inputShape;
-        this.history = {
-            loss: [],
-            val_loss: [],
-            accuracy: [],
-            val_accuracy: []
-        };
+        this.outputUnits = outputUnits;
+        this.architecture = architecture;
+        this.hyperparameters = { ...DEFAULT_HYPERPARAMETERS, ...hyperparameters };
+        this.task = task;
+        this.layout = { ...DEFAULT_MODEL_LAYOUT, ...layout };
+        this.trackOrder = trackOrder.slice();
+        this.history = this.emptyHistory();
         this.bestWeights = null;
         this.bestValLoss = Infinity;
-        this.learningRate = 0.001;
+        this.learningRate = this.hyperparameters.learningRate;
+        // Set by pause()/stop() while fit() runs
+        this.pauseGate = null;
+        this.stopRequest = null;
+        this.stoppedBy = null;
+        // ProbabilityCalibrator fitted by calibrate(); cleared whenever the weights change
+        this.calibrator = null;
     }
 
     buildModel() {
-        this.model = tf.sequential({
-            layers: [
-                // Input layer with batch normalization
-                tf.layers.gru({
-                    units: 128,
-                    returnSequences: true,
-                    inputShape: this.inputShape,
-                    dropout: 0.3,
-                    recurrentDropout: 0.3,
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    recurrentRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'gru_1'
-                }),
-                
-                // Batch normalization between GRU layers
-                tf.layers.batchNormalization(),
-                
-                // Second GRU layer
-                tf.layers.gru({
-                    units: 64,
-                    returnSequences: false,
-                    dropout: 0.3,
-                    recurrentDropout: 0.3,
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    recurrentRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'gru_2'
-                }),
-                
-                // Batch normalization
-                tf.layers.batchNormalization(),
-                
-                // First dense layer
-                tf.layers.dense({
-                    units: 128,
-                    activation: 'relu',
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'dense_1'
-                }),
-                tf.layers.dropout({rate: 0.4}),
-                tf.layers.batchNormalization(),
-                
-                // Second dense layer
-                tf.layers.dense({
-                    units: 64,
-                    activation: 'relu',
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'dense_2'
-                }),
-                tf.layers.dropout({rate: 0.3}),
-                tf.layers.batchNormalization(),
-                
-                // Third dense layer
-                tf.layers.dense({
-                    units: 32,
-                    activation: 'relu',
-                    kernelRegularizer: tf.regularizers.l2({l2: 0.001}),
-                    name: 'dense_3'
-                }),
-                tf.layers.dropout({rate: 0.2}),
-                
-                // Output layer
-                tf.layers.dense({
-                    units: 30, // 10 tracks × 3 days
-                    activation: 'sigmoid',
-                    name: 'output'
-                })
-            ]
-        });
+        if (!this.inputShape || !this.outputUnits) {
+            throw new Error('Model input shape and output size must be set before building');
+        }
+        if (!MODEL_ARCHITECTURES[this.architecture]) {
+            throw new Error(`Unknown model architecture "${this.architecture}"`);
+        }
+
+        const build = MODEL_ARCHITECTURES[this.architecture].build;
+        const outputActivation = this.isRegression() ? 'linear' : 'sigmoid';
+        if (this.usesTrackEmbedding()) {
+            this.layout.vocabulary = this.trackOrder.slice();
+            this.model = buildWithTrackEmbedding(build, this.inputShape, this.outputUnits,
+                this.hyperparameters, outputActivation, this.layout);
+        } else {
+            this.model = build(this.inputShape, this.outputUnits, this.hyperparameters, outputActivation);
+        }
+
+        this.compileModel();
 
-        // NEW: Custom optimizer with learning rate scheduling
-        const optimizer = tf.train.adam(this.learningRate);
+        console.log(`Advanced model built successfully (${MODEL_ARCHITECTURES[this.architecture].label})`);
+        console.log('Model summary:', this.getModelSummary());
+        return this.model;
+    }
+
+    compileModel(learningRate = this.learningRate) {
+        // fit() schedules this optimizer's learning rate in place
+        const optimizer = tf.train.adam(learningRate);
         
+        if (this.isRegression()) {
+            this.model.compile({
+                optimizer: optimizer,
+                loss: 'meanSquaredError',
+                metrics: ['mae']
+            });
+            return;
+        }
+
         this.model.compile({
             optimizer: optimizer,
             loss: 'binaryCrossentropy',
-            metrics: ['binaryAccuracy', 'precision', 'recall'] // NEW: Additional metrics
+            metrics: [directionAccuracy, directionPrecision, directionRecall] // NEW: Additional metrics
         });
+    }
 
-        console.log('Advanced model built successfully');
-        console.log('Model summary:', this.getModelSummary());
-        return this.model;
+    isRegression() {
+        return this.task !== 'classification';
+    }
+
+    isPerTrack() {
+        return this.layout.mode === 'per_track';
+    }
+
+    usesTrackEmbedding() {
+        return this.isPerTrack() && this.layout.embeddingSize > 0;
+    }
+
+    // The tracks behind the columns of the wide data this model is fed
+    setTrackOrder(trackIds) {
+        this.trackOrder = trackIds.slice();
+    }
+
+    // Wide data ([samples, window, tracks × features]) to what the network
+    // takes. per_track splits every sample into one sequence per track,
+    // sample-major, plus the embedding indices; wide data passes through as is.
+    // Free the result with releaseConverted()
+    toModelInputs(X, { training = false } = {}) {
+        if (!this.isPerTrack()) return X;
+
+        const [numSamples, steps, width] = X.shape;
+        const features = this.inputShape[1];
+        const numTracks = width / features;
+        if (!Number.isInteger(numTracks)) {
+            throw new Error(`Input width ${width} is not a whole number of ${features}-feature tracks`);
+        }
+        const sequences = tf.tidy(() => X
+            .reshape([numSamples, steps, numTracks, features])
+            .transpose([0, 2, 1, 3])
+            .reshape([numSamples * numTracks, steps, features]));
+        if (!this.usesTrackEmbedding()) return sequences;
+
+        if (this.trackOrder.length !== numTracks) {
+            sequences.dispose();
+            throw new Error(`Track order has ${this.trackOrder.length} tracks but the data has ${numTracks}`);
+        }
+        return [sequences, this.trackIndexTensor(numSamples, training)];
     }
 
-    async fit(X_train, y_train, X_test, y_test, epochs = 200, batchSize = 32) {
+    // Embedding index of every (sample, track) sequence, sample-major: 0 for
+    // the unknown track, which training draws at UNKNOWN_TRACK_RATE
+    trackIndexTensor(numSamples, training = false) {
+        const known = this.trackOrder.map(trackId => this.layout.vocabulary.indexOf(trackId) + 1);
+        const indices = [];
+        for (let sample = 0; sample < numSamples; sample++) {
+            known.forEach(index => {
+                indices.push(training && Math.random() < UNKNOWN_TRACK_RATE ? 0 : index);
+            });
+        }
+        return tf.tensor2d(indices, [indices.length, 1]);
+    }
+
+    // Frees what toModelInputs()/toModelTargets() made from original
+    releaseConverted(converted, original) {
+        if (converted !== original) tf.dispose(converted);
+    }
+
+    // Wide targets ([samples, tracks × horizon], track-major) to per-track rows
+    toModelTargets(y) {
+        if (!this.isPerTrack()) return y;
+        return y.reshape([y.shape[0] * (y.shape[1] / this.outputUnits), this.outputUnits]);
+    }
+
+    // Network outputs back to the wide [samples, tracks × horizon] layout
+    fromModelOutputs(output, numSamples) {
+        if (!this.isPerTrack()) return output;
+        const wide = output.reshape([numSamples, -1]);
+        output.dispose();
+        return wide;
+    }
+
+    // Headline metric tracked next to the loss: binary accuracy for the
+    // direction classifier, mean absolute error (in target units) for regression
+    getMetricName() {
+        return this.isRegression() ? 'mae' : 'accuracy';
+    }
+
+    emptyHistory() {
+        const metric = this.getMetricName();
+        return { loss: [], val_loss: [], [metric]: [], [`val_${metric}`]: [], learningRate: [] };
+    }
+
+    // Early stopping and the val_* history track the validation set; the test
+    // set is never seen during training
+    // Set emitProgress to false for background runs (e.g. backtest folds) that
+    // should not drive the training charts
+    // All epochs run in a single model.fit(); the epoch callbacks set the
+    // compiled optimizer's learning rate in place, so Adam keeps its moment
+    // estimates across schedule changes
+    // epochs is the run's total; initialEpoch > 0 continues a checkpointed run
+    // with the same epoch numbering and schedule position, and resume (the
+    // checkpoint's progress) carries over its best val loss and plateau
+    // state. With a checkpoint option ({ preprocessing }), each new best is
+    // saved to IndexedDB
+    async fit(X_train, y_train, X_val, y_val, epochs = 200, batchSize = this.hyperparameters.batchSize,
+        { emitProgress = true, schedule = {}, initialEpoch = 0, checkpoint = null, resume = null } = {}) {
         if (!this.model) {
             this.buildModel();
         }
 
+        this.disposeBestWeights();
         this.bestValLoss = Infinity;
-        this.bestWeights = null;
-        this.history = { loss: [], val_loss: [], accuracy: [], val_accuracy: [] };
+        if (initialEpoch > 0 && resume) {
+            // The checkpointed weights are the run's best so far: a continued
+            // epoch has to beat them to replace the checkpoint or be restored
+            this.bestValLoss = resume.bestValLoss;
+            this.bestWeights = this.model.getWeights().map(w => w.clone());
+        }
+        this.history = this.emptyHistory();
+        this.stopRequest = null;
+        this.stoppedBy = null;
+        // A calibration fitted to the old weights no longer applies
+        this.calibrator = null;
         
-        const patience = 25;
+        const patience = this.hyperparameters.patience;
+        const scheduler = new LearningRateScheduler(this.learningRate, epochs, schedule,
+            initialEpoch > 0 && resume ? resume.scheduler : null);
+        const optimizer = this.model.optimizer;
+        const metricName = this.getMetricName();
+        const logKey = this.isRegression() ? 'mae' : 'directionAccuracy';
         let patienceCounter = 0;
-        let currentLearningRate = this.learningRate;
+        let checkpointing = Boolean(checkpoint);
 
         console.log('Starting advanced model training...');
-        
-        for (let epoch = 0; epoch < epochs; epoch++) {
-            // NEW: Learning rate scheduling
-            if (epoch > 0 && epoch % 30 === 0) {
-                currentLearningRate *= 0.5; // Reduce learning rate every 30 epochs
-                const newOptimizer = tf.train.adam(currentLearningRate);
-                this.model.compile({
-                    optimizer: newOptimizer,
-                    loss: 'binaryCrossentropy',
-                    metrics: ['binaryAccuracy', 'precision', 'recall']
-                });
-                console.log(`Reduced learning rate to: ${currentLearningRate}`);
-            }
 
-            const history = await this.model.fit(X_train, y_train, {
-                epochs: 1,
+        let trainInputs = this.toModelInputs(X_train, { training: true });
+        // Held in a variable so each epoch can redraw which tracks are fed as unknown
+        let trackIndices = null;
+        if (Array.isArray(trainInputs)) {
+            trackIndices = tf.variable(trainInputs[1], false);
+            trainInputs[1].dispose();
+            trainInputs = [trainInputs[0], trackIndices];
+        }
+        const trainTargets = this.toModelTargets(y_train);
+        const valInputs = this.toModelInputs(X_val);
+        const valTargets = this.toModelTargets(y_val);
+        
+        try {
+            await this.model.fit(trainInputs, trainTargets, {
+                epochs: epochs,
+                initialEpoch: initialEpoch,
                 batchSize: batchSize,
-                validationData: [X_test, y_test],
-                verbose: 0
-            });
+                validationData: [valInputs, valTargets],
+                verbose: 0,
+                callbacks: {
+                    onEpochBegin: async (epoch) => {
+                        optimizer.learningRate = scheduler.learningRateFor(epoch);
+                        if (trackIndices && epoch > initialEpoch) {
+                            tf.tidy(() => trackIndices.assign(this.trackIndexTensor(X_train.shape[0], true)));
+                        }
+                    },
+                    onEpochEnd: async (epoch, logs) => {
+                        const loss = logs.loss;
+                        const metric = logs[logKey];
+                        const valLoss = logs.val_loss;
+                        const valMetric = logs[`val_${logKey}`];
+                        const learningRate = optimizer.learningRate;
 
-            const loss = history.history.loss[0];
-            const accuracy = history.history.binaryAccuracy[0];
-            const valLoss = history.history.val_loss[0];
-            const valAccuracy = history.history.val_binaryAccuracy[0];
-
-            this.history.loss.push(loss);
-            this.history.accuracy.push(accuracy);
-            this.history.val_loss.push(valLoss);
-            this.history.val_accuracy.push(valAccuracy);
-
-            // NEW: Improved early stopping with momentum
-            if (valLoss < this.bestValLoss - 0.001) { // Only update if significant improvement
-                this.bestValLoss = valLoss;
-                patienceCounter = 0;
-                this.bestWeights = await this.model.getWeights();
-                console.log(`Epoch ${epoch + 1}: New best validation loss: ${valLoss.toFixed(4)}`);
-            } else {
-                patienceCounter++;
-                if (patienceCounter >= patience) {
-                    console.log(`Early stopping triggered at epoch ${epoch + 1}`);
-                    await this.model.setWeights(this.bestWeights);
-                    break;
-                }
-            }
+                        this.history.loss.push(loss);
+                        this.history[metricName].push(metric);
+                        this.history.val_loss.push(valLoss);
+                        this.history[`val_${metricName}`].push(valMetric);
+                        this.history.learningRate.push(learningRate);
+                        scheduler.recordValidationLoss(epoch, valLoss);
+
+                        // NEW: Improved early stopping with momentum
+                        if (valLoss < this.bestValLoss - 0.001) { // Only update if significant improvement
+                            this.bestValLoss = valLoss;
+                            patienceCounter = 0;
+                            // getWeights() hands back the live variables, so keep a copy
+                            this.disposeBestWeights();
+                            this.bestWeights = this.model.getWeights().map(w => w.clone());
+                            console.log(`Epoch ${epoch + 1}: New best validation loss: ${valLoss.toFixed(4)}`);
+
+                            if (checkpointing) {
+                                try {
+                                    await this.saveCheckpoint(checkpoint.preprocessing, {
+                                        epoch: epoch + 1,
+                                        epochs,
+                                        batchSize,
+                                        schedule,
+                                        bestValLoss: valLoss,
+                                        scheduler: scheduler.exportState()
+                                    });
+                                } catch (error) {
+                                    // e.g. IndexedDB unavailable or over quota; keep training without it
+                                    checkpointing = false;
+                                    console.warn('Checkpointing disabled for this run:', error);
+                                }
+                            }
+                        } else {
+                            patienceCounter++;
+                            if (patienceCounter >= patience) {
+                                console.log(`Early stopping triggered at epoch ${epoch + 1}`);
+                                this.stoppedBy = 'earlyStopping';
+                                this.model.stopTraining = true;
+                            }
+                        }
+
+                        if (emitProgress) {
+                            document.dispatchEvent(new CustomEvent('trainingProgress', {
+                                detail: {
+                                    epoch: epoch + 1,
+                                    loss: loss,
+                                    val_loss: valLoss,
+                                    metricName: metricName,
+                                    [metricName]: metric,
+                                    [`val_${metricName}`]: valMetric,
+                                    earlyStopping: patienceCounter,
+                                    learningRate: learningRate
+                                }
+                            }));
+                        }
+
+                        if ((epoch + 1) % 10 === 0) {
+                            console.log(`Epoch ${epoch + 1}/${epochs} - LR: ${learningRate.toFixed(6)} - Loss: ${loss.toFixed(4)} - ${metricName}: ${metric.toFixed(4)} - Val Loss: ${valLoss.toFixed(4)} - Val ${metricName}: ${valMetric.toFixed(4)}`);
+                        }
 
-            const event = new CustomEvent('trainingProgress', {
-                detail: {
-                    epoch: epoch + 1,
-                    loss: loss,
-                    accuracy: accuracy,
-                    val_loss: valLoss,
-                    val_accuracy: valAccuracy,
-                    earlyStopping: patienceCounter,
-                    learningRate: currentLearningRate
+                        // pause() holds the loop here, between epochs, until resume() or stop()
+                        if (this.pauseGate) {
+                            console.log(`Training paused after epoch ${epoch + 1}`);
+                            await this.pauseGate.promise;
+                        }
+                        if (this.stopRequest && !this.stoppedBy) {
+                            console.log(`Training stopped by user after epoch ${epoch + 1}`);
+                            this.stoppedBy = 'user';
+                            this.model.stopTraining = true;
+                        }
+                    }
                 }
             });
-            document.dispatchEvent(event);
+        } finally {
+            this.releaseConverted(trainInputs, X_train);
+            this.releaseConverted(valInputs, X_val);
+            this.releaseConverted(trainTargets, y_train);
+            this.releaseConverted(valTargets, y_val);
+        }
 
-            if ((epoch + 1) % 10 === 0) {
-                console.log(`Epoch ${epoch + 1}/${epochs} - LR: ${currentLearningRate.toFixed(6)} - Loss: ${loss.toFixed(4)} - Acc: ${accuracy.toFixed(4)} - Val Loss: ${valLoss.toFixed(4)} - Val Acc: ${valAccuracy.toFixed(4)}`);
-            }
+        const restoreBest = this.stoppedBy === 'earlyStopping' ||
+            (this.stoppedBy === 'user' && this.stopRequest.restoreBest);
+        if (restoreBest && this.bestWeights) {
+            this.model.setWeights(this.bestWeights);
         }
+        this.stopRequest = null;
+        this.resume();
 
         console.log('Training completed');
         return this.history;
     }
 
+    // Training controls for a running fit(); they take effect at the end of
+    // the current epoch
+    pause() {
+        if (this.pauseGate) return;
+        let release;
+        const promise = new Promise(resolve => { release = resolve; });
+        this.pauseGate = { promise, release };
+    }
+
+    resume() {
+        if (!this.pauseGate) return;
+        this.pauseGate.release();
+        this.pauseGate = null;
+    }
+
+    isPaused() {
+        return Boolean(this.pauseGate);
+    }
+
+    stop({ restoreBest = true } = {}) {
+        this.stopRequest = { restoreBest };
+        this.resume();
+    }
+
+    disposeBestWeights() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(w => w.dispose());
+        }
+        this.bestWeights = null;
+    }
+
     async predict(X) {
         if (!this.model) {
             throw new Error('Model not built or loaded');
         }
-        return this.model.predict(X);
+        const inputs = this.toModelInputs(X);
+        const output = this.model.predict(inputs);
+        this.releaseConverted(inputs, X);
+        return this.fromModelOutputs(output, X.shape[0]);
     }
 
     async evaluate(X_test, y_test) {
@@ -191,21 +1063,33 @@ class GRUModel {
             throw new Error('Model not built or loaded');
         }
         
-        const results = this.model.evaluate(X_test, y_test);
-        const loss = await results[0].data();
-        const accuracy = await results[1].data();
-        
-        results[0].dispose();
-        results[1].dispose();
+        const inputs = this.toModelInputs(X_test);
+        const targets = this.toModelTargets(y_test);
+        const results = this.model.evaluate(inputs, targets);
+        this.releaseConverted(inputs, X_test);
+        this.releaseConverted(targets, y_test);
+        const values = await Promise.all(results.map(async r => (await r.data())[0]));
+        results.forEach(r => r.dispose());
         
+        if (this.isRegression()) {
+            return { loss: values[0], mae: values[1] };
+        }
+        // Same order as the compiled metrics
         return {
-            loss: loss[0],
-            accuracy: accuracy[0]
+            loss: values[0],
+            accuracy: values[1],
+            precision: values[2],
+            recall: values[3]
         };
     }
 
     // NEW: Ensemble prediction for better accuracy
-    async predictWithUncertainty(X, numSamples = 5) {
+    // Each dropout sample goes through the calibrator (if fitted) before the
+    // statistics are taken, so mean, std and quantiles describe calibrated
+    // probabilities. With returnStats the result is { mean, std, quantiles },
+    // quantiles keyed by level (e.g. quantiles[0.95]); free it with tf.dispose()
+    async predictWithUncertainty(X, numSamples = 5, returnStats = false,
+        { quantiles = DEFAULT_QUANTILES, calibrated = true } = {}) {
         if (!this.model) {
             throw new Error('Model not built or loaded');
         }
@@ -213,52 +1097,145 @@ class GRUModel {
         const predictions = [];
         for (let i = 0; i < numSamples; i++) {
             // Enable dropout during inference for uncertainty estimation
-            const prediction = this.model.predict(X, {training: true});
-            predictions.push(prediction);
+            const prediction = this.dropoutSample(X);
+            if (calibrated && this.calibrator && !this.isRegression()) {
+                predictions.push(this.calibrator.applyTensor(prediction));
+                prediction.dispose();
+            } else {
+                predictions.push(prediction);
+            }
         }
         
-        // Average the predictions
-        let meanPrediction = predictions[0];
-        for (let i = 1; i < predictions.length; i++) {
-            meanPrediction = meanPrediction.add(predictions[i]);
-        }
-        meanPrediction = meanPrediction.div(tf.scalar(predictions.length));
+        const stacked = tf.stack(predictions);
+        const { mean, variance } = tf.moments(stacked, 0);
         
         // Clean up
         predictions.forEach(p => p.dispose());
         
-        return meanPrediction;
+        if (!returnStats) {
+            stacked.dispose();
+            variance.dispose();
+            return mean;
+        }
+        
+        const std = variance.sqrt();
+        variance.dispose();
+        const quantileTensors = this.sampleQuantiles(stacked, quantiles);
+        stacked.dispose();
+        return { mean, std, quantiles: quantileTensors };
     }
 
-    computeTrackSpecificAccuracy(predictions, y_true, trackMetadata) {
+    // One stochastic forward pass with dropout active. model.predict() ignores
+    // {training: true}, so this goes through apply(). Batch normalization is
+    // held in inference mode meanwhile: on batch statistics each window's
+    // output would depend on the other windows it is scored with
+    dropoutSample(X) {
+        // Per-track models nest the architecture as a layer of the outer model
+        const flatten = layers => layers.flatMap(layer => layer.layers ? flatten(layer.layers) : [layer]);
+        const normLayers = flatten(this.model.layers).filter(layer => layer.getClassName() === 'BatchNormalization');
+        normLayers.forEach(layer => {
+            const call = layer.call;
+            layer.call = (inputs, kwargs) => call.call(layer, inputs, { ...kwargs, training: false });
+        });
+        const inputs = this.toModelInputs(X);
+        let output;
+        try {
+            output = tf.tidy(() => this.model.apply(inputs, {training: true}));
+        } finally {
+            this.releaseConverted(inputs, X);
+            // Back to the prototype's call()
+            normLayers.forEach(layer => { delete layer.call; });
+        }
+        return this.fromModelOutputs(output, X.shape[0]);
+    }
+
+    // Linearly interpolated quantiles over axis 0 of [samples, batch, outputs]
+    sampleQuantiles(stacked, levels) {
+        const numSamples = stacked.shape[0];
+        return tf.tidy(() => {
+            // topk sorts the last axis in descending order; reverse for ascending
+            const sorted = tf.reverse(tf.topk(stacked.transpose([1, 2, 0]), numSamples).values, -1);
+            const result = {};
+            levels.forEach(level => {
+                const position = level * (numSamples - 1);
+                const lower = Math.floor(position);
+                const upper = Math.ceil(position);
+                const weight = position - lower;
+                const at = idx => tf.gather(sorted, [idx], 2).squeeze([2]);
+                result[level] = weight === 0 ? at(lower) : at(lower).mul(1 - weight).add(at(upper).mul(weight));
+            });
+            return result;
+        });
+    }
+
+    // Fits a ProbabilityCalibrator on validation predictions (every dropout
+    // sample, uncalibrated) against the observed direction, target > 0.5.
+    // Returns reliability before and after on that data
+    async calibrate(X_val, y_val, method = 'temperature', numSamples = 5) {
+        if (this.isRegression()) {
+            throw new Error('Calibration applies to the direction probabilities only');
+        }
+
+        const outcomes = Array.from(await y_val.data(), y => y > 0.5);
+        const probabilities = [];
+        const repeatedOutcomes = [];
+        for (let i = 0; i < numSamples; i++) {
+            const prediction = this.dropoutSample(X_val);
+            probabilities.push(...await prediction.data());
+            repeatedOutcomes.push(...outcomes);
+            prediction.dispose();
+        }
+
+        this.calibrator = ProbabilityCalibrator.fit(method, probabilities, repeatedOutcomes);
+        console.log(`Calibrated on ${probabilities.length} validation predictions: ${this.calibrator.describe()}`);
+        return {
+            before: computeReliability(probabilities, repeatedOutcomes),
+            after: computeReliability(probabilities.map(p => this.calibrator.apply(p)), repeatedOutcomes)
+        };
+    }
+
+    // Reliability of the (calibrated, if fitted) MC-dropout mean on X against
+    // the direction of y; calibrated = false scores the raw model
+    async computeReliability(X, y, numSamples = 5, { calibrated = true } = {}) {
+        const mean = await this.predictWithUncertainty(X, numSamples, false, { calibrated });
+        const probabilities = Array.from(await mean.data());
+        const outcomes = Array.from(await y.data(), value => value > 0.5);
+        mean.dispose();
+        return computeReliability(probabilities, outcomes);
+    }
+
+    // Outputs are laid out track-major: [track0 D+1..D+h, track1 D+1..D+h, ...]
+    computeTrackSpecificAccuracy(predictions, y_true, trackMetadata, horizon = null, threshold = 0.5) {
         const predData = predictions.arraySync();
         const trueData = y_true.arraySync();
         
         const trackAccuracies = new Map();
         const tracks = Array.from(trackMetadata.keys());
+        const daysAhead = horizon || predictions.shape[1] / tracks.length;
+        const dayKeys = Array.from({ length: daysAhead }, (_, day) => `day${day + 1}`);
         
-        const dayAccuracies = { day1: 0, day2: 0, day3: 0 };
-        const dayCounts = { day1: 0, day2: 0, day3: 0 };
+        const dayAccuracies = Object.fromEntries(dayKeys.map(day => [day, 0]));
+        const dayCounts = Object.fromEntries(dayKeys.map(day => [day, 0]));
         
         tracks.forEach((trackId, trackIndex) => {
             let correct = 0;
             let total = 0;
-            const trackDayAccuracies = [0, 0, 0];
-            const trackDayCounts = [0, 0, 0];
+            const trackDayAccuracies = new Array(daysAhead).fill(0);
+            const trackDayCounts = new Array(daysAhead).fill(0);
             
             for (let sampleIdx = 0; sampleIdx < predData.length; sampleIdx++) {
-                for (let dayOffset = 0; dayOffset < 3; dayOffset++) {
-                    const predIdx = trackIndex * 3 + dayOffset;
-                    const prediction = predData[sampleIdx][predIdx] > 0.5 ? 1 : 0;
+                for (let dayOffset = 0; dayOffset < daysAhead; dayOffset++) {
+                    const predIdx = trackIndex * daysAhead + dayOffset;
+                    const prediction = predData[sampleIdx][predIdx] > threshold ? 1 : 0;
                     const actual = trueData[sampleIdx][predIdx] > 0.5 ? 1 : 0; // Convert probability to binary
                     
                     if (actual !== undefined) {
                         total++;
-                        dayCounts[`day${dayOffset + 1}`]++;
+                        dayCounts[dayKeys[dayOffset]]++;
                         
                         if (prediction === actual) {
                             correct++;
-                            dayAccuracies[`day${dayOffset + 1}`]++;
+                            dayAccuracies[dayKeys[dayOffset]]++;
                             trackDayAccuracies[dayOffset]++;
                         }
                         trackDayCounts[dayOffset]++;
@@ -267,18 +1244,14 @@ class GRUModel {
             }
             
             const accuracy = total > 0 ? (correct / total) * 100 : 0;
-            const day1Acc = trackDayCounts[0] > 0 ? (trackDayAccuracies[0] / trackDayCounts[0]) * 100 : 0;
-            const day2Acc = trackDayCounts[1] > 0 ? (trackDayAccuracies[1] / trackDayCounts[1]) * 100 : 0;
-            const day3Acc = trackDayCounts[2] > 0 ? (trackDayAccuracies[2] / trackDayCounts[2]) * 100 : 0;
             
             trackAccuracies.set(trackId, {
                 accuracy: accuracy,
                 trackName: trackMetadata.get(trackId).name || trackId,
-                dayAccuracies: {
-                    day1: day1Acc,
-                    day2: day2Acc,
-                    day3: day3Acc
-                }
+                dayAccuracies: Object.fromEntries(dayKeys.map((day, dayOffset) => [
+                    day,
+                    trackDayCounts[dayOffset] > 0 ? (trackDayAccuracies[dayOffset] / trackDayCounts[dayOffset]) * 100 : 0
+                ]))
             });
         });
         
@@ -292,22 +1265,96 @@ class GRUModel {
         };
     }
 
-    async computeConsistentAccuracy(predictions, y_true) {
-        const binaryPreds = predictions.greater(0.5).cast('float32');
-        const binaryTrue = y_true.greater(0.5).cast('float32');
-        const correct = binaryPreds.equal(binaryTrue).sum();
-        const total = tf.size(y_true);
+    async computeConsistentAccuracy(predictions, y_true, threshold = 0.5) {
+        const correct = tf.tidy(() => {
+            const binaryPreds = predictions.greater(threshold);
+            const binaryTrue = y_true.greater(0.5);
+            return binaryPreds.equal(binaryTrue).sum();
+        });
+        const total = y_true.size;
         
-        const accuracy = (await correct.data())[0] / (await total.data())[0] * 100;
+        const accuracy = (await correct.data())[0] / total * 100;
         
         correct.dispose();
-        total.dispose();
-        binaryPreds.dispose();
-        binaryTrue.dispose();
         
         return accuracy;
     }
 
+    // Direction metrics per track and per day ahead, plus overall ROC and
+    // precision-recall curves. predicted and actual are [sample][track-major
+    // output] arrays; the soft targets count as growth above 0.5, predictions
+    // above threshold
+    computeClassificationMetrics(predicted, actual, trackIds, horizon, threshold = 0.5) {
+        const overall = { probabilities: [], outcomes: [] };
+        const perTrack = trackIds.map(() => ({ probabilities: [], outcomes: [] }));
+        const perDay = Array.from({ length: horizon }, () => ({ probabilities: [], outcomes: [] }));
+
+        predicted.forEach((row, sampleIdx) => {
+            row.forEach((probability, idx) => {
+                const outcome = actual[sampleIdx][idx] > 0.5;
+                [overall, perTrack[Math.floor(idx / horizon)], perDay[idx % horizon]].forEach(group => {
+                    group.probabilities.push(probability);
+                    group.outcomes.push(outcome);
+                });
+            });
+        });
+
+        const score = group => binaryClassificationScores(group.probabilities, group.outcomes, threshold);
+        return {
+            threshold,
+            overall: score(overall),
+            tracks: new Map(trackIds.map((trackId, i) => [trackId, score(perTrack[i])])),
+            days: perDay.map(score),
+            roc: rocCurve(overall.probabilities, overall.outcomes),
+            precisionRecall: precisionRecallCurve(overall.probabilities, overall.outcomes)
+        };
+    }
+
+    // Error metrics on de-normalized stream counts. predicted and actual are
+    // [sample][track-major output] arrays, as laid out by the model outputs.
+    // MAPE skips days with zero actual streams; sMAPE skips days where both are zero
+    computeRegressionMetrics(predicted, actual, trackIds, horizon) {
+        const accumulate = () => ({ count: 0, absError: 0, squaredError: 0, ape: 0, apeCount: 0, sape: 0, sapeCount: 0 });
+        const overall = accumulate();
+        const perTrack = trackIds.map(accumulate);
+        const perDay = Array.from({ length: horizon }, accumulate);
+
+        predicted.forEach((row, sampleIdx) => {
+            row.forEach((prediction, idx) => {
+                const truth = actual[sampleIdx][idx];
+                const error = prediction - truth;
+                [overall, perTrack[Math.floor(idx / horizon)], perDay[idx % horizon]].forEach(acc => {
+                    acc.count++;
+                    acc.absError += Math.abs(error);
+                    acc.squaredError += error * error;
+                    if (truth !== 0) {
+                        acc.ape += Math.abs(error / truth);
+                        acc.apeCount++;
+                    }
+                    const scale = Math.abs(prediction) + Math.abs(truth);
+                    if (scale > 0) {
+                        acc.sape += 2 * Math.abs(error) / scale;
+                        acc.sapeCount++;
+                    }
+                });
+            });
+        });
+
+        const summarize = acc => ({
+            count: acc.count,
+            mae: acc.count > 0 ? acc.absError / acc.count : NaN,
+            rmse: acc.count > 0 ? Math.sqrt(acc.squaredError / acc.count) : NaN,
+            mape: acc.apeCount > 0 ? (acc.ape / acc.apeCount) * 100 : NaN,
+            smape: acc.sapeCount > 0 ? (acc.sape / acc.sapeCount) * 100 : NaN
+        });
+
+        return {
+            overall: summarize(overall),
+            tracks: new Map(trackIds.map((trackId, i) => [trackId, summarize(perTrack[i])])),
+            days: perDay.map(summarize)
+        };
+    }
+
     getModelSummary() {
         if (!this.model) return 'Model not built';
         
@@ -322,28 +1369,209 @@ class GRUModel {
         return summary;
     }
 
-    async saveModel() {
+    // The preprocessing manifest travels inside model.json as user-defined
+    // metadata, so the model.json/weights.bin pair is self-contained
+    async saveModel(preprocessingState = null) {
         if (!this.model) {
             throw new Error('No model to save');
         }
         
+        this.model.setUserDefinedMetadata(this.buildMetadata(preprocessingState));
+        
         const saveResult = await this.model.save('downloads://music-popularity-advanced-model');
         console.log('Advanced model saved successfully');
         return saveResult;
     }
 
+    buildMetadata(preprocessingState = null, checkpoint = null) {
+        const metadata = {
+            architecture: this.architecture,
+            hyperparameters: this.hyperparameters,
+            task: this.task,
+            layout: this.layout
+        };
+        if (this.calibrator) {
+            metadata.calibration = this.calibrator.state;
+        }
+        if (preprocessingState) {
+            metadata.preprocessing = preprocessingState;
+        }
+        if (checkpoint) {
+            metadata.checkpoint = checkpoint;
+        }
+        return metadata;
+    }
+
+    // The checkpoint is a full model (topology, best weights, manifest and
+    // run position) under a fixed IndexedDB key, so it outlives a tab reload
+    async saveCheckpoint(preprocessingState, progress) {
+        this.model.setUserDefinedMetadata(this.buildMetadata(preprocessingState, {
+            ...progress,
+            savedAt: new Date().toISOString()
+        }));
+        await this.model.save(TRAINING_CHECKPOINT_URL);
+    }
+
+    static async findCheckpoint() {
+        const models = await tf.io.listModels();
+        return models[TRAINING_CHECKPOINT_URL] || null;
+    }
+
+    static async removeCheckpoint() {
+        if (await GRUModel.findCheckpoint()) {
+            await tf.io.removeModel(TRAINING_CHECKPOINT_URL);
+        }
+    }
+
+    getCheckpointState() {
+        if (!this.model) return null;
+        const metadata = this.model.getUserDefinedMetadata();
+        return metadata && metadata.checkpoint ? metadata.checkpoint : null;
+    }
+
+    // Accepts a URL or an IOHandler such as tf.io.browserFiles([modelJson, weightsBin])
     async loadModel(modelArtifacts) {
-        this.model = await tf.loadLayersModel(modelArtifacts);
+        const loadedModel = await tf.loadLayersModel(modelArtifacts);
+        
+        if (this.model) {
+            this.model.dispose();
+        }
+        this.disposeBestWeights();
+        
+        this.model = loadedModel;
+        this.inputShape = this.model.inputs[0].shape.slice(1);
+        this.outputUnits = this.model.outputs[0].shape[1];
+        // Files saved before the registry existed are always the stacked GRU
+        const metadata = this.model.getUserDefinedMetadata();
+        this.architecture = metadata && metadata.architecture ? metadata.architecture : 'gru';
+        this.hyperparameters = { ...DEFAULT_HYPERPARAMETERS, ...(metadata && metadata.hyperparameters) };
+        this.task = metadata && metadata.task ? metadata.task : 'classification';
+        this.layout = { ...DEFAULT_MODEL_LAYOUT, ...(metadata && metadata.layout) };
+        this.calibrator = metadata && metadata.calibration ? new ProbabilityCalibrator(metadata.calibration) : null;
+        this.learningRate = this.hyperparameters.learningRate;
+        this.bestValLoss = Infinity;
+        this.history = this.emptyHistory();
+        
+        // Saved topologies carry no optimizer state, so compile before evaluate()/fit()
+        this.compileModel();
+        
         console.log('Advanced model loaded successfully');
+        console.log('Model summary:', this.getModelSummary());
         return this.model;
     }
 
+    getPreprocessingState() {
+        if (!this.model) return null;
+        const metadata = this.model.getUserDefinedMetadata();
+        return metadata && metadata.preprocessing ? metadata.preprocessing : null;
+    }
+
+    getOutputUnits() {
+        if (!this.model) return this.outputUnits;
+        return this.model.outputs[0].shape[1];
+    }
+
     dispose() {
         if (this.model) {
+            // Optimizers passed to compile() as instances are not owned by the model
+            if (this.model.optimizer) {
+                this.model.optimizer.dispose();
+            }
             this.model.dispose();
         }
-        if (this.bestWeights) {
-            this.bestWeights.forEach(w => w.dispose());
+        this.disposeBestWeights();
+    }
+}
+
+// Every finished training run: the model itself goes to IndexedDB through
+// tf.io, and a small index of config, dataset fingerprint, curves and metrics
+// lives in localStorage so the list renders without loading any weights
+class ModelRegistry {
+    constructor(storageKey = 'musicPopularityModelRegistry') {
+        this.storageKey = storageKey;
+    }
+
+    // Newest first
+    list() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.warn('Model registry index is unreadable, starting empty:', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(entry => entry.id === id) || null;
+    }
+
+    writeIndex(entries) {
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+    }
+
+    // record: { name, preprocessing, dataset, training, history, metrics }
+    async add(gruModel, record) {
+        const createdAt = new Date().toISOString();
+        const id = `run-${Date.now().toString(36)}`;
+        const entry = {
+            id,
+            url: `indexeddb://music-popularity-${id}`,
+            name: record.name || `${MODEL_ARCHITECTURES[gruModel.architecture]?.label || gruModel.architecture} ${createdAt.slice(0, 19).replace('T', ' ')}`,
+            createdAt,
+            architecture: gruModel.architecture,
+            hyperparameters: { ...gruModel.hyperparameters },
+            inputShape: gruModel.inputShape,
+            outputUnits: gruModel.getOutputUnits(),
+            layout: { ...gruModel.layout },
+            dataset: record.dataset,
+            training: record.training,
+            history: record.history,
+            metrics: record.metrics
+        };
+
+        gruModel.model.setUserDefinedMetadata(gruModel.buildMetadata(record.preprocessing));
+        await gruModel.model.save(entry.url);
+
+        try {
+            this.writeIndex([...this.list(), entry]);
+        } catch (error) {
+            // Keep storage consistent when the index write fails (e.g. quota)
+            await tf.io.removeModel(entry.url);
+            throw error;
+        }
+        return entry;
+    }
+
+    rename(id, name) {
+        const entries = this.list();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) {
+            throw new Error(`No registered run with id ${id}`);
+        }
+        entry.name = name;
+        this.writeIndex(entries);
+        return entry;
+    }
+
+    async remove(id) {
+        const entry = this.get(id);
+        if (!entry) return;
+        try {
+            await tf.io.removeModel(entry.url);
+        } catch (error) {
+            console.warn(`Stored model for ${id} was already gone:`, error);
+        }
+        this.writeIndex(this.list().filter(e => e.id !== id));
+    }
+
+    async load(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`No registered run with id ${id}`);
         }
+        const gruModel = new GRUModel();
+        await gruModel.loadModel(entry.url);
+        return gruModel;
     }
 }